@@ -1,422 +1,662 @@
-import { useState, useEffect } from "react";
-import { GoogleGenerativeAI } from "@google/generative-ai";
-import { Octokit } from "octokit";
-
-const MODES = {
-  LEETCODE: "LeetCode-Daily",
-  CODEFORCE: "CodeForce-Daily",
-  RANDOM: "Random Generation",
-  CUSTOM: "Custom Build"
-};
-
-const LANGUAGES = {
-  PYTHON: "python",
-  CPP: "cpp",
-  JAVA: "java",
-  JAVASCRIPT: "javascript",
-  GO: "go",
-  RUST: "rust"
-};
-
-const LANGUAGE_EXTENSIONS = {
-  python: ".py",
-  cpp: ".cpp",
-  java: ".java",
-  javascript: ".js",
-  go: ".go",
-  rust: ".rs"
-};
-
-// API utility functions
-async function fetchLeetCodeDaily() {
-  // Using LeetCode's public API endpoint that doesn't require authentication
-  // We'll fetch the daily challenge through their public GraphQL endpoint
-  
-  try {
-    // First, get the daily challenge slug from the homepage
-    const homeResponse = await fetch("https://leetcode.com/");
-    const homeHtml = await homeResponse.text();
-    
-    // Extract the daily challenge data from the page
-    // LeetCode embeds the daily challenge in a script tag
-    const match = homeHtml.match(/activeDailyCodingChallengeQuestion.*?titleSlug":"([^"]+)"/);
-    
-    if (!match) {
-      throw new Error("Could not find daily challenge");
-    }
-    
-    const titleSlug = match[1];
-    
-    // Now fetch the problem details using the alpha API
-    const problemResponse = await fetch(`https://alfa-leetcode-api.onrender.com/select?titleSlug=${titleSlug}`);
-    const problemData = await problemResponse.json();
-    
-    // Transform to our expected format
-    return {
-      date: new Date().toISOString().split('T')[0],
-      link: `/problems/${titleSlug}/`,
-      question: {
-        questionId: problemData.questionId || "N/A",
-        questionFrontendId: problemData.questionFrontendId || problemData.questionId || "N/A",
-        title: problemData.questionTitle || problemData.title,
-        titleSlug: titleSlug,
-        difficulty: problemData.difficulty,
-        content: problemData.question || problemData.content || "",
-        topicTags: (problemData.topicTags || []).map(tag => ({ name: tag })),
-        codeSnippets: problemData.codeSnippets || [],
-        exampleTestcases: problemData.exampleTestCases || "",
-        hints: problemData.hints || []
-      }
-    };
-  } catch (error) {
-    // Fallback: Use a third-party API that provides LeetCode daily challenge
-    try {
-      const response = await fetch("https://alfa-leetcode-api.onrender.com/daily");
-      const data = await response.json();
-      
-      return {
-        date: data.date || new Date().toISOString().split('T')[0],
-        link: `/problems/${data.titleSlug || data.questionTitleSlug}/`,
-        question: {
-          questionId: data.questionId || "N/A",
-          questionFrontendId: data.questionFrontendId || data.questionId || "N/A",
-          title: data.questionTitle || data.title,
-          titleSlug: data.titleSlug || data.questionTitleSlug,
-          difficulty: data.difficulty,
-          content: data.question || data.content || "",
-          topicTags: (data.topicTags || []).map(tag => 
-            typeof tag === 'string' ? { name: tag } : tag
-          ),
-          codeSnippets: data.codeSnippets || [],
-          exampleTestcases: data.exampleTestCases || "",
-          hints: data.hints || []
-        }
-      };
-    } catch (fallbackError) {
-      throw new Error("Unable to fetch LeetCode daily challenge. Please try again later.");
-    }
-  }
-}
+import { useState, useEffect, useRef } from "react";
+import CodeEditor from "./CodeEditor.jsx";
+import HistoryPanel from "./HistoryPanel.jsx";
+import UsagePanel from "./UsagePanel.jsx";
+import { ON_EXISTING, commitSolution, determineRepository, fetchProblem, findExistingSolutions, generateSolution, resolveProblem } from "./core/pipeline.js";
+import { DEFAULT_HOST, DEFAULT_REPO_SETTINGS, HOSTS, LICENSES, VISIBILITIES, createHost } from "./hosts/index.js";
+import { getSystemPrompt } from "./core/prompts.js";
+import { EXAMPLE_PROBLEM, TEMPLATE_VARIABLES, defaultTemplate, exportTemplates, importTemplates, templateFor, unknownVariables } from "./core/templates.js";
+import { RUN_STATUS, clearRuns, deleteRun, listRuns, saveRun } from "./history.js";
+import { checkToken, isGitHubToken, pollForToken, requestDeviceCode } from "./githubAuth.js";
+import { DEFAULT_LANGUAGE, LANGUAGES } from "./languages.js";
+import { MODES } from "./modes.js";
+import { PROVIDERS, getProviderSettings } from "./providers.js";
+import { SOURCES, getSource } from "./sources/index.js";
+import { CODEFORCES_DIVISIONS, DEFAULT_CODEFORCES_FILTERS } from "./sources/codeforces.js";
+import { DEFAULT_GRAPHQL_URL } from "./sources/leetcodeClient.js";
+import { DEFAULT_BUDGETS, addToTotals, addUsage, checkBudgets, clearUsage, describeBudget, formatUsage, loadUsage } from "./usage.js";
+import {
+  CREDENTIAL_STORAGE,
+  MIN_PASSPHRASE_LENGTH,
+  applySecrets,
+  clearVault,
+  createVault,
+  extractSecrets,
+  hasVault,
+  saveVault,
+  unlockVault
+} from "./vault.js";
 
-async function fetchCodeforcesDaily() {
-  const response = await fetch("https://codeforces.com/api/problemset.problems");
-  const data = await response.json();
-  
-  if (data.status !== "OK") {
-    throw new Error("Codeforces API error");
-  }
-
-  const problems = data.result.problems;
-  const today = new Date().toISOString().slice(0, 10);
-  const seed = [...today].reduce((a, c) => a + c.charCodeAt(0), 0);
-  const daily = problems[seed % problems.length];
-
-  return {
-    contestId: daily.contestId,
-    index: daily.index,
-    title: daily.name,
-    difficulty: daily.rating || "Unrated",
-    tags: daily.tags,
-    url: `https://codeforces.com/problemset/problem/${daily.contestId}/${daily.index}`
-  };
-}
-
-function cleanHtmlContent(html) {
-  if (!html) return "";
-  return html
-    .replace(/<pre>/g, "\n```\n")
-    .replace(/<\/pre>/g, "\n```\n")
-    .replace(/<code>/g, "`")
-    .replace(/<\/code>/g, "`")
-    .replace(/<strong>/g, "**")
-    .replace(/<\/strong>/g, "**")
-    .replace(/<[^>]+>/g, "")
-    .replace(/&nbsp;/g, " ")
-    .replace(/&lt;/g, "<")
-    .replace(/&gt;/g, ">")
-    .replace(/&amp;/g, "&")
-    .replace(/&quot;/g, '"')
-    .replace(/&#39;/g, "'")
-    .replace(/\n{3,}/g, "\n\n")
-    .trim();
-}
-
-function getSystemPrompt(mode, language, problemData = null) {
-  const langMap = {
-    python: "Python",
-    cpp: "C++",
-    java: "Java",
-    javascript: "JavaScript",
-    go: "Go",
-    rust: "Rust"
-  };
-
-  if (mode === MODES.CUSTOM) {
-    return `You are a senior software engineer.
-
-For Custom Build requests, you MUST respond in this EXACT format:
-
-REPO_NAME: <kebab-case-repository-name>
----CODE_START---
-<actual source code here>
----CODE_END---
-
-Rules:
-1. REPO_NAME must be kebab-case (e.g., react-weather-app, todo-list-api)
-2. Generate professional ${langMap[language]} code
-3. Include comprehensive comments and docstrings
-4. Follow best practices and style guides
-5. Make code production-ready
-6. NO markdown formatting, NO explanations outside the format above`;
-  }
-
-  if (mode === MODES.LEETCODE) {
-    return `You are a competitive programming expert solving LeetCode problems.
-
-Problem: ${problemData.title}
-Difficulty: ${problemData.difficulty}
-Topics: ${problemData.tags}
-
-Problem Description:
-${problemData.description}
-
-${problemData.testCases ? `Test Cases:\n${problemData.testCases}` : ""}
-
-${problemData.hints && problemData.hints.length > 0 ? `Hints:\n${problemData.hints.map((h, i) => `${i + 1}. ${h}`).join("\n")}` : ""}
-
-Generate a complete, optimal ${langMap[language]} solution with:
-1. Detailed comments explaining the approach
-2. Time and space complexity analysis
-3. Clean, readable code following best practices
-4. Handle all edge cases
-
-Output ONLY the code solution, NO markdown, NO explanations.`;
-  }
-
-  if (mode === MODES.CODEFORCE) {
-    return `You are a competitive programming expert solving Codeforces problems.
-
-Problem: ${problemData.title}
-Contest ID: ${problemData.contestId}${problemData.index}
-Difficulty: ${problemData.difficulty}
-Tags: ${problemData.tags.join(", ")}
-URL: ${problemData.url}
-
-Note: Visit the URL above for full problem statement, constraints, and examples.
-
-Generate a complete ${langMap[language]} solution with:
-1. Fast I/O handling (if applicable)
-2. Optimal algorithm implementation
-3. Comments explaining the approach
-4. Time and space complexity analysis
-5. Handle all edge cases
-
-Output ONLY the code solution, NO markdown, NO explanations.`;
-  }
-
-  // RANDOM mode
-  return `You are a senior software engineer.
-Generate ONLY professional-quality ${langMap[language]} code.
-- Include comprehensive comments and docstrings
-- Use type hints/annotations where applicable
-- Follow language-specific best practices and style guides
-- Make code production-ready
-- NO explanations
-- NO markdown
-- NO conversational text`;
-}
+// github.com's login endpoints don't allow cross-origin requests; the dev
+// server proxies them here (see vite.config.js)
+const GITHUB_LOGIN_PROXY = "/github-login";
 
 export default function App() {
   const [mode, setMode] = useState(MODES.RANDOM);
-  const [language, setLanguage] = useState(LANGUAGES.PYTHON);
+  // Problem modes can generate several languages at once; the others use the first
+  const [languages, setLanguages] = useState([DEFAULT_LANGUAGE]);
   const [prompt, setPrompt] = useState("");
   const [logs, setLogs] = useState([]);
-  const [geminiKey, setGeminiKey] = useState("");
+  const [provider, setProvider] = useState("gemini");
+  const [providerSettings, setProviderSettings] = useState({});
+  const [gitHost, setGitHost] = useState(() => localStorage.getItem("GIT_HOST") || DEFAULT_HOST);
+  // Server URL for GitHub Enterprise and self-hosted forges; empty for the host's default
+  const [gitHostUrl, setGitHostUrl] = useState(() => localStorage.getItem("GIT_HOST_URL") || "");
+  // Access token for the selected git host (kept under GITHUB_PAT for older settings)
   const [githubToken, setGithubToken] = useState("");
+  const [credentialStorage, setCredentialStorage] = useState(
+    () => localStorage.getItem("CREDENTIAL_STORAGE") || CREDENTIAL_STORAGE.PLAIN
+  );
+  // Key for the encrypted vault once unlocked; held in memory for this page session only
+  const [vaultHandle, setVaultHandle] = useState(null);
+  const [passphrase, setPassphrase] = useState("");
+  const [githubClientId, setGithubClientId] = useState(() => localStorage.getItem("GITHUB_CLIENT_ID") || "");
+  // The code to enter on GitHub while a device-flow sign-in is waiting
+  const [deviceLogin, setDeviceLogin] = useState(null);
+  const signInAbort = useRef(null);
+  const [newPassphrase, setNewPassphrase] = useState("");
   const [repoOverride, setRepoOverride] = useState("");
+  const [problemRef, setProblemRef] = useState("");
   const [isLoading, setIsLoading] = useState(false);
+  const [verifyTests, setVerifyTests] = useState(true);
+  const [pullRequest, setPullRequest] = useState(() => localStorage.getItem("PULL_REQUEST") === "true");
+  const [onExisting, setOnExisting] = useState(() => localStorage.getItem("ON_EXISTING") || ON_EXISTING.UPDATE);
+  // LeetCode GraphQL endpoint or proxy; empty for DEFAULT_GRAPHQL_URL
+  const [leetcodeUrl, setLeetcodeUrl] = useState(() => localStorage.getItem("LEETCODE_GRAPHQL_URL") || "");
+  // Owner of the target repositories and how missing ones are created
+  const [repoSettings, setRepoSettings] = useState(() => ({
+    ...DEFAULT_REPO_SETTINGS,
+    ...JSON.parse(localStorage.getItem("REPO_SETTINGS") || "{}")
+  }));
+  // Suggestions fetched from the git host for the owner and repository boxes
+  const [owners, setOwners] = useState([]);
+  const [repositories, setRepositories] = useState([]);
+  const [cfFilters, setCfFilters] = useState(() => ({
+    ...DEFAULT_CODEFORCES_FILTERS,
+    ...JSON.parse(localStorage.getItem("CODEFORCES_FILTERS") || "{}")
+  }));
+  // Saved prompt templates by mode (modes without one use the default) and
+  // unsaved edits in the template editor, also by mode
+  const [promptTemplates, setPromptTemplates] = useState(() => JSON.parse(localStorage.getItem("PROMPT_TEMPLATES") || "{}"));
+  const [templateDrafts, setTemplateDrafts] = useState({});
+  const [showPromptPreview, setShowPromptPreview] = useState(false);
+  const templateImport = useRef(null);
+  // Token usage per day and model, and the budgets that stop new runs
+  const [usage, setUsage] = useState(loadUsage);
+  const [budgets, setBudgets] = useState(() => ({
+    ...DEFAULT_BUDGETS,
+    ...JSON.parse(localStorage.getItem("USAGE_BUDGETS") || "{}")
+  }));
+  // Streamed model output ({ text, language }) while generating, then the files awaiting review
+  const [draft, setDraft] = useState(null);
+  const [review, setReview] = useState(null);
+  const [history, setHistory] = useState([]);
+  // The run being recorded to history, updated as it moves through review and commit
+  const currentRun = useRef(null);
 
   useEffect(() => {
-    const savedGemini = localStorage.getItem("GEMINI_API_KEY") || "";
+    const savedProviders = JSON.parse(localStorage.getItem("LLM_PROVIDER_SETTINGS") || "{}");
+    // Keys saved before provider selection existed
+    const legacyGemini = localStorage.getItem("GEMINI_API_KEY");
+    if (legacyGemini && !savedProviders.gemini) {
+      savedProviders.gemini = { apiKey: legacyGemini };
+    }
     const savedGithub = localStorage.getItem("GITHUB_PAT") || "";
-    setGeminiKey(savedGemini);
+    const savedProvider = localStorage.getItem("LLM_PROVIDER");
+    setProvider(PROVIDERS[savedProvider] ? savedProvider : "gemini");
+    setProviderSettings(savedProviders);
     setGithubToken(savedGithub);
   }, []);
 
-  const log = (msg) => {
-    setLogs((l) => [...l, `[${new Date().toLocaleTimeString()}] ${msg}`]);
+  useEffect(() => {
+    listRuns().then(setHistory).catch((error) => console.error("Could not load run history", error));
+  }, []);
+
+  useEffect(() => {
+    localStorage.setItem("CODEFORCES_FILTERS", JSON.stringify(cfFilters));
+  }, [cfFilters]);
+
+  useEffect(() => {
+    localStorage.setItem("PULL_REQUEST", String(pullRequest));
+  }, [pullRequest]);
+
+  useEffect(() => {
+    localStorage.setItem("REPO_SETTINGS", JSON.stringify(repoSettings));
+  }, [repoSettings]);
+
+  useEffect(() => {
+    localStorage.setItem("LEETCODE_GRAPHQL_URL", leetcodeUrl.trim());
+  }, [leetcodeUrl]);
+
+  useEffect(() => {
+    localStorage.setItem("ON_EXISTING", onExisting);
+  }, [onExisting]);
+
+  useEffect(() => {
+    localStorage.setItem("PROMPT_TEMPLATES", JSON.stringify(promptTemplates));
+  }, [promptTemplates]);
+
+  useEffect(() => {
+    localStorage.setItem("USAGE_BUDGETS", JSON.stringify(budgets));
+  }, [budgets]);
+
+  const updateRepoSetting = (field, value) => {
+    setRepoSettings((settings) => ({ ...settings, [field]: value }));
+    if (field === "owner") setRepositories([]);
+  };
+
+  const updateCfFilter = (field, value) => {
+    setCfFilters((filters) => ({ ...filters, [field]: value }));
   };
 
-  const saveSettings = () => {
-    localStorage.setItem("GEMINI_API_KEY", geminiKey);
-    localStorage.setItem("GITHUB_PAT", githubToken);
-    log("🔐 Credentials saved locally.");
+  // The selected mode's template as shown in the editor
+  const templateText = templateDrafts[mode] ?? templateFor(mode, promptTemplates);
+  const templateChanged = templateDrafts[mode] !== undefined && templateDrafts[mode] !== templateFor(mode, promptTemplates);
+  const unknownTemplateVariables = unknownVariables(templateText);
+
+  const discardTemplateDraft = () => setTemplateDrafts((drafts) => {
+    const { [mode]: _draft, ...others } = drafts;
+    return others;
+  });
+
+  // Saving the default text keeps no override, so the mode follows future defaults
+  const saveTemplate = () => {
+    const { [mode]: _saved, ...others } = promptTemplates;
+    setPromptTemplates(templateText.trim() === defaultTemplate(mode).trim() ? others : { ...others, [mode]: templateText });
+    discardTemplateDraft();
+    log(`💾 Prompt template saved for ${mode}`);
   };
 
-  const validGitHubPAT = /^gh[pousr]_[A-Za-z0-9_]{36,}$/.test(githubToken);
+  const resetTemplate = () => {
+    const { [mode]: _saved, ...others } = promptTemplates;
+    setPromptTemplates(others);
+    discardTemplateDraft();
+    log(`↩️ Prompt template for ${mode} reset to the default`);
+  };
 
-  const determineRepository = (mode, customRepoName = null) => {
-    if (repoOverride) return repoOverride;
-    
-    switch (mode) {
-      case MODES.LEETCODE:
-      case MODES.CODEFORCE:
-        return "DSA";
-      case MODES.CUSTOM:
-        return customRepoName || "GitExpress-Archived";
-      case MODES.RANDOM:
-      default:
-        return "GitExpress-Archived";
+  const exportPromptTemplates = () => {
+    const count = Object.keys(promptTemplates).length;
+    const url = URL.createObjectURL(new Blob([exportTemplates(promptTemplates)], { type: "application/json" }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = "gitexpress-prompts.json";
+    link.click();
+    URL.revokeObjectURL(url);
+    log(`📤 Exported ${count} prompt template${count === 1 ? "" : "s"}`);
+  };
+
+  // Imported templates replace the saved ones for the same modes
+  const importPromptTemplates = async (file) => {
+    if (!file) return;
+    try {
+      const imported = importTemplates(await file.text());
+      const count = Object.keys(imported).length;
+      setPromptTemplates((templates) => ({ ...templates, ...imported }));
+      setTemplateDrafts({});
+      log(`📥 Imported ${count} prompt template${count === 1 ? "" : "s"} from ${file.name}`);
+    } catch (error) {
+      log(`❌ Could not import prompt templates: ${error.message}`);
     }
   };
 
-  const parseCustomBuildResponse = (response) => {
-    const repoMatch = response.match(/REPO_NAME:\s*([a-z0-9-]+)/i);
-    const codeMatch = response.match(/---CODE_START---\s*([\s\S]*?)\s*---CODE_END---/);
+  // The full system prompt the editor's template produces for the first
+  // language, with the problem under review or an example one
+  const promptPreview = () => {
+    const [language] = languages;
+    const problem = review?.mode === mode && review.problemData ? review.problemData : (getSource(mode) ? EXAMPLE_PROBLEM : null);
+    const problemData = problem?.starterCodes ? { ...problem, starterCode: problem.starterCodes[language] || "" } : problem;
+    return getSystemPrompt(mode, language, problemData, { templates: { [mode]: templateText } });
+  };
+
+  // Keeps the selection in LANGUAGES order, which is also the order solutions are generated in
+  const toggleLanguage = (lang) => {
+    setLanguages((selected) => Object.keys(LANGUAGES)
+      .filter((id) => (id === lang ? !selected.includes(id) : selected.includes(id))));
+  };
+
+  const llmSettings = getProviderSettings(providerSettings, provider);
+  const savedLlmSettings = providerSettings[provider] || {};
 
-    if (codeMatch) {
-      return {
-        repoName: repoMatch ? repoMatch[1].trim() : null,
-        code: codeMatch[1].trim()
-      };
+  const updateLlmSetting = (field, value) => {
+    setProviderSettings((all) => ({ ...all, [provider]: { ...all[provider], [field]: value } }));
+  };
+
+  const log = (msg) => {
+    const line = `[${new Date().toLocaleTimeString()}] ${msg}`;
+    currentRun.current?.logs.push(line);
+    setLogs((l) => [...l, line]);
+  };
+
+  const refreshHistory = () => listRuns().then(setHistory).catch((error) => console.error(error));
+
+  // Merges `patch` into the run being recorded and persists it
+  const recordRun = async (patch) => {
+    const run = currentRun.current;
+    if (!run) return;
+    Object.assign(run, patch, { updatedAt: new Date().toISOString() });
+    try {
+      run.id = await saveRun(run);
+      await refreshHistory();
+    } catch (error) {
+      console.error("Could not save run history", error);
     }
+  };
 
-    // Fallback if format not followed
-    return {
-      repoName: null,
-      code: response.trim()
-    };
+  // Adds a model call to the usage totals and to the run it belongs to
+  const trackUsage = (call) => {
+    setUsage(addUsage(call));
+    log(`📊 ${call.model}: ${formatUsage(call)}`);
+    if (currentRun.current) {
+      currentRun.current.usage = addToTotals(currentRun.current.usage, call);
+    }
   };
 
-  const start = async () => {
-    if (!validGitHubPAT) {
-      log("❌ Invalid GitHub PAT format.");
-      return;
+  // Logs budgets that are nearly used up; false once any of them is. The
+  // pipeline checks again before every model call.
+  const withinBudget = () => {
+    try {
+      checkBudgets(budgets).forEach((status) => log(`⚠️ Nearly over budget: ${describeBudget(status)}`));
+      return true;
+    } catch (error) {
+      log(`🛑 ${error.message}. Raise it under Usage to run again.`);
+      return false;
     }
+  };
 
-    if (!geminiKey) {
-      log("❌ Gemini API Key is required.");
+  const updateBudget = (id, value) => {
+    setBudgets((current) => ({ ...current, [id]: value }));
+  };
+
+  const resetUsage = () => {
+    if (!window.confirm("Reset the recorded token usage?")) return;
+    setUsage(clearUsage());
+  };
+
+  // Stops recording once a run has reached a final state
+  const finishRun = async (patch) => {
+    await recordRun(patch);
+    currentRun.current = null;
+  };
+
+  // A stored vault stays locked whatever storage is selected, so switching
+  // away from it can't overwrite the credentials it holds
+  const vaultLocked = !vaultHandle && hasVault();
+
+  const saveSettings = async () => {
+    if (vaultLocked) {
+      log("❌ Unlock the vault before saving, or clear the stored credentials.");
       return;
     }
 
-    if (mode === MODES.CUSTOM && !prompt.trim()) {
-      log("❌ Prompt is required for Custom Build mode.");
+    localStorage.setItem("LLM_PROVIDER", provider);
+    localStorage.setItem("GIT_HOST", gitHost);
+    localStorage.setItem("GIT_HOST_URL", gitHostUrl.trim());
+    localStorage.removeItem("GEMINI_API_KEY");
+
+    if (credentialStorage === CREDENTIAL_STORAGE.PLAIN) {
+      localStorage.setItem("CREDENTIAL_STORAGE", credentialStorage);
+      localStorage.setItem("LLM_PROVIDER_SETTINGS", JSON.stringify(providerSettings));
+      localStorage.setItem("GITHUB_PAT", githubToken);
+      clearVault();
+      setVaultHandle(null);
+      log("🔐 Credentials saved locally.");
       return;
     }
 
-    setIsLoading(true);
-    setLogs([]);
+    const { settings, secrets } = extractSecrets(providerSettings, githubToken);
+    if (credentialStorage === CREDENTIAL_STORAGE.VAULT) {
+      try {
+        if (vaultHandle) {
+          await saveVault(secrets, vaultHandle);
+        } else {
+          setVaultHandle(await createVault(secrets, passphrase));
+          setPassphrase("");
+        }
+      } catch (error) {
+        log(`❌ ${error.message}`);
+        return;
+      }
+    } else {
+      clearVault();
+    }
+
+    // Only non-secret settings stay in plain text
+    localStorage.setItem("CREDENTIAL_STORAGE", credentialStorage);
+    localStorage.setItem("LLM_PROVIDER_SETTINGS", JSON.stringify(settings));
+    localStorage.removeItem("GITHUB_PAT");
+    log(credentialStorage === CREDENTIAL_STORAGE.VAULT
+      ? "🔐 Credentials encrypted and saved."
+      : "🔐 Settings saved; credentials are kept for this session only.");
+  };
 
+  const unlock = async () => {
     try {
-      let problemData = null;
-      let userPrompt = prompt;
+      const { secrets, handle } = await unlockVault(passphrase);
+      setVaultHandle(handle);
+      setProviderSettings((all) => applySecrets(all, secrets));
+      setGithubToken(secrets.githubToken || "");
+      setPassphrase("");
+      log("🔓 Vault unlocked for this session.");
+    } catch (error) {
+      log(`❌ ${error.message}`);
+    }
+  };
 
-      // Fetch problem data based on mode
-      if (mode === MODES.LEETCODE) {
-        log("📥 Fetching today's LeetCode problem...");
-        const leetcodeData = await fetchLeetCodeDaily();
-        
-        problemData = {
-          title: leetcodeData.question.title,
-          difficulty: leetcodeData.question.difficulty,
-          description: cleanHtmlContent(leetcodeData.question.content),
-          tags: (leetcodeData.question.topicTags || []).map(t => 
-            typeof t === 'string' ? t : t.name
-          ).join(", "),
-          testCases: leetcodeData.question.exampleTestcases || "Check LeetCode for test cases",
-          hints: leetcodeData.question.hints || [],
-          link: `https://leetcode.com${leetcodeData.link}`
-        };
-        log(`✅ Loaded: ${problemData.title} (${problemData.difficulty})`);
-      } else if (mode === MODES.CODEFORCE) {
-        log("📥 Fetching today's Codeforces problem...");
-        problemData = await fetchCodeforcesDaily();
-        log(`✅ Loaded: ${problemData.title} (${problemData.difficulty})`);
-      }
+  // Forgets the decrypted credentials; the vault stays stored
+  const lock = () => {
+    setVaultHandle(null);
+    setProviderSettings((all) => extractSecrets(all).settings);
+    setGithubToken("");
+    log("🔒 Vault locked.");
+  };
 
-      // Generate code with Gemini
-      log("🤖 Generating code solution...");
-      const genAI = new GoogleGenerativeAI(geminiKey);
-      const model = genAI.getGenerativeModel({
-        model: "gemini-2.5-flash",
-        systemInstruction: getSystemPrompt(mode, language, problemData)
-      });
+  // Re-encrypts the unlocked credentials under a new passphrase and salt
+  const changePassphrase = async () => {
+    try {
+      const { secrets } = extractSecrets(providerSettings, githubToken);
+      setVaultHandle(await createVault(secrets, newPassphrase));
+      setNewPassphrase("");
+      log("🔁 Vault passphrase changed.");
+    } catch (error) {
+      log(`❌ ${error.message}`);
+    }
+  };
 
-      const result = await model.generateContent(
-        mode === MODES.CUSTOM ? userPrompt : "Generate the solution"
-      );
-      const response = result.response.text();
+  const clearCredentials = () => {
+    if (!window.confirm("Remove every stored API key and token from this browser?")) return;
+    const { settings } = extractSecrets(providerSettings);
+    clearVault();
+    localStorage.removeItem("GITHUB_PAT");
+    localStorage.removeItem("GEMINI_API_KEY");
+    localStorage.setItem("LLM_PROVIDER_SETTINGS", JSON.stringify(settings));
+    setVaultHandle(null);
+    setProviderSettings(settings);
+    setGithubToken("");
+    log("🗑 Stored credentials cleared.");
+  };
 
-      let code = response;
-      let customRepoName = null;
+  // Device-flow sign-in and token format checks only apply to github.com
+  const onGitHubCom = gitHost === "github" && !gitHostUrl.trim();
+  const validToken = onGitHubCom ? isGitHubToken(githubToken) : Boolean(githubToken.trim());
 
-      if (mode === MODES.CUSTOM) {
-        const parsed = parseCustomBuildResponse(response);
-        code = parsed.code;
-        customRepoName = parsed.repoName;
-        if (customRepoName) {
-          log(`📦 Suggested repository: ${customRepoName}`);
-        }
-      }
+  const connectHost = () => createHost(gitHost, { token: githubToken, baseUrl: gitHostUrl });
 
-      log(`✅ Code generated (${code.split("\n").length} lines)`);
+  const signIn = async () => {
+    if (!githubClientId.trim()) {
+      log("❌ Enter the Client ID of a GitHub OAuth App with device flow enabled.");
+      return;
+    }
+    localStorage.setItem("GITHUB_CLIENT_ID", githubClientId.trim());
+    const controller = new AbortController();
+    signInAbort.current = controller;
 
-      // Determine target repository
-      const targetRepo = determineRepository(mode, customRepoName);
-      log(`🎯 Target repository: ${targetRepo}`);
+    try {
+      const device = await requestDeviceCode({ clientId: githubClientId.trim(), baseUrl: GITHUB_LOGIN_PROXY });
+      setDeviceLogin(device);
+      log(`🔑 Enter code ${device.userCode} at ${device.verificationUri}`);
+      const { token } = await pollForToken({
+        clientId: githubClientId.trim(),
+        deviceCode: device.deviceCode,
+        interval: device.interval,
+        expiresIn: device.expiresIn,
+        baseUrl: GITHUB_LOGIN_PROXY,
+        signal: controller.signal
+      });
+      setGithubToken(token);
+      log("✅ Signed in to GitHub. Save Settings to keep the token.");
+    } catch (error) {
+      log(`❌ ${error.message}`);
+    } finally {
+      setDeviceLogin(null);
+      signInAbort.current = null;
+    }
+  };
 
-      // GitHub operations
-      log("🔗 Connecting to GitHub...");
-      const octokit = new Octokit({ auth: githubToken });
-      const { data: user } = await octokit.rest.users.getAuthenticated();
-      const owner = user.login;
+  // Fills the owner and repository suggestions from the git host
+  const loadRepositories = () => runTask(async () => {
+    if (!validToken) {
+      throw new Error("Enter a valid access token first.");
+    }
+    const host = connectHost();
+    const found = await host.listOwners();
+    const owner = repoSettings.owner || found[0].login;
+    const names = await host.listRepositories({ owner });
+    setOwners(found);
+    setRepositories(names);
+    log(`📚 ${names.length} repositor${names.length === 1 ? "y" : "ies"} found for ${owner}`);
+  });
 
-      // Check/create repository
-      try {
-        await octokit.rest.repos.get({ owner, repo: targetRepo });
-        log(`📁 Repository '${targetRepo}' found`);
-      } catch {
-        await octokit.rest.repos.createForAuthenticatedUser({
-          name: targetRepo,
-          private: true,
-          description: `Auto-generated via GitExpress - Mode: ${mode}`
-        });
-        log(`📁 Repository '${targetRepo}' created`);
-      }
+  const testConnection = () => runTask(async () => {
+    if (!validToken) {
+      throw new Error(onGitHubCom ? "Invalid GitHub token format." : "An access token is required.");
+    }
+    const host = connectHost();
+    const repo = determineRepository(mode, { repoOverride });
+    log(`🔌 Testing ${host.name} access for '${repoSettings.owner.trim() ? `${repoSettings.owner.trim()}/` : ""}${repo}'...`);
 
-      // Create filename
-      const extension = LANGUAGE_EXTENSIONS[language];
-      let filename;
-      
-      if (mode === MODES.LEETCODE && problemData) {
-        filename = `leetcode_${problemData.title.toLowerCase().replace(/\s+/g, "_")}_${Date.now()}${extension}`;
-      } else if (mode === MODES.CODEFORCE && problemData) {
-        filename = `cf_${problemData.contestId}${problemData.index}_${Date.now()}${extension}`;
-      } else {
-        filename = `script_${Date.now()}${extension}`;
-      }
+    if (!host.octokit) {
+      const { login } = await host.getUser();
+      log(`👤 Signed in as ${login}`);
+      log(`ℹ️ Permission checks are only available for GitHub; ${host.name} reports missing permissions when committing.`);
+      return;
+    }
 
-      // Commit to GitHub
-      const contentBase64 = btoa(unescape(encodeURIComponent(code)));
-      await octokit.rest.repos.createOrUpdateFileContents({
-        owner,
-        repo: targetRepo,
-        path: filename,
-        message: `Add ${filename} - ${mode}`,
-        content: contentBase64
-      });
+    const report = await checkToken(host.octokit, { token: githubToken, owner: repoSettings.owner, repo });
 
-      log(`🎉 Successfully committed: ${filename}`);
-      log(`🔗 View at: https://github.com/${owner}/${targetRepo}`);
+    log(`👤 Signed in as ${report.login} (${report.type} token${report.expiresAt ? `, expires ${report.expiresAt}` : ""})`);
+    for (const { label, ok, detail } of report.checks) {
+      log(`${ok ? "✅" : "❌"} ${label}: ${detail}`);
+    }
+    log(report.missing.length === 0
+      ? "✅ The token has everything GitExpress needs."
+      : `⚠️ Missing: ${report.missing.join("; ")}`);
+  });
 
+  // Runs an async step with the busy state set, logging any error
+  const runTask = async (task) => {
+    setIsLoading(true);
+    try {
+      await task();
     } catch (error) {
       log(`❌ Error: ${error.message}`);
       console.error(error);
+      await recordRun({ status: RUN_STATUS.FAILED, error: error.message });
     } finally {
+      setDraft(null);
       setIsLoading(false);
     }
   };
 
+  // Generates (and verifies) code, then hands it over for review
+  const generate = async (run) => {
+    const result = await generateSolution({
+      ...run,
+      promptTemplates,
+      provider,
+      settings: llmSettings,
+      verifyTests,
+      onExisting,
+      log,
+      onText: (text, language) => setDraft({ text, language }),
+      onUsage: trackUsage,
+      budgets
+    });
+    if (currentRun.current?.usage) {
+      log(`📊 Run so far: ${formatUsage(currentRun.current.usage)}`);
+    }
+
+    if (!result) {
+      log("🛑 Nothing to review.");
+      await recordRun({ status: RUN_STATUS.FAILED, error: "Verification failed" });
+      return;
+    }
+    setReview({ ...result, activeFile: 0 });
+    log("👀 Review the code below, then Commit, Regenerate or Cancel.");
+    await recordRun({ status: RUN_STATUS.REVIEW, result, error: null });
+  };
+
+  // Fetches the problem (if any) and generates code for one run. Takes the
+  // run's settings as arguments so history entries can be re-run as-is.
+  const launch = ({ mode, languages, problemRef, prompt }) => {
+    if (!validToken) {
+      log(onGitHubCom ? "❌ Invalid GitHub token format." : `❌ ${HOSTS[gitHost].label} access token is required.`);
+      return;
+    }
+
+    if (PROVIDERS[provider].requiresKey && !llmSettings.apiKey) {
+      log(`❌ ${PROVIDERS[provider].label} API Key is required.`);
+      return;
+    }
+
+    if (languages.length === 0) {
+      log("❌ Select at least one language.");
+      return;
+    }
+
+    if (mode === MODES.CUSTOM && !prompt.trim()) {
+      log("❌ Prompt is required for Custom Build mode.");
+      return;
+    }
+
+    if (!withinBudget()) return;
+
+    let run;
+    try {
+      run = resolveProblem(mode, problemRef);
+    } catch (error) {
+      log(`❌ ${error.message}`);
+      return;
+    }
+    if (run.mode !== mode) setMode(run.mode);
+
+    setLogs([]);
+    setReview(null);
+    currentRun.current = {
+      startedAt: new Date().toISOString(),
+      status: RUN_STATUS.RUNNING,
+      mode: run.mode,
+      languages,
+      problemRef,
+      prompt,
+      provider,
+      model: llmSettings.model,
+      problem: null,
+      logs: []
+    };
+
+    runTask(async () => {
+      await recordRun({});
+      const host = connectHost();
+      const problemData = await fetchProblem({
+        ...run,
+        language: languages[0],
+        filters: cfFilters,
+        leetcodeUrl: leetcodeUrl.trim(),
+        host,
+        owner: repoSettings.owner,
+        repoOverride,
+        log
+      });
+      if (problemData) {
+        const { source, id, title, url } = problemData;
+        await recordRun({ problem: { source, id, title, url } });
+      }
+      const existing = await findExistingSolutions(host, {
+        mode: run.mode,
+        problemData,
+        languages,
+        owner: repoSettings.owner,
+        repoOverride,
+        log
+      });
+
+      await generate({ mode: run.mode, languages, problemData, userPrompt: prompt, existing });
+    });
+  };
+
+  const start = () => launch({ mode, languages, problemRef, prompt });
+
+  const regenerate = () => {
+    const { mode, languages, problemData, userPrompt, solutions } = review;
+    const existing = Object.fromEntries(solutions.filter((s) => s.existing).map((s) => [s.language, s.existing]));
+    if (!withinBudget()) return;
+    setReview(null);
+    log("🔄 Regenerating...");
+    runTask(() => generate({ mode, languages, problemData, userPrompt, existing }));
+  };
+
+  const cancelReview = () => {
+    setReview(null);
+    log("🚫 Cancelled, nothing was committed.");
+    finishRun({ status: RUN_STATUS.CANCELLED });
+  };
+
+  const updateReviewFile = (content) => {
+    setReview((r) => ({
+      ...r,
+      files: r.files.map((file, i) => (i === r.activeFile ? { ...file, content } : file))
+    }));
+  };
+
+  // Pushes the reviewed files
+  const commit = () => runTask(async () => {
+    const { activeFile: _activeFile, ...result } = review;
+    const { owner, repo, url, sha, paths } = await commitSolution(connectHost(), {
+      ...result,
+      repoOverride,
+      repoSettings,
+      pullRequest,
+      llm: { provider, settings: llmSettings, onUsage: trackUsage, budgets },
+      log
+    });
+    setReview(null);
+    await finishRun({
+      status: sha ? RUN_STATUS.COMMITTED : RUN_STATUS.UNCHANGED,
+      result,
+      repo: `${owner}/${repo}`,
+      url,
+      sha,
+      paths
+    });
+  });
+
+  // Brings a past run's code back into review, recording further steps on that run
+  const reopenRun = (run) => {
+    currentRun.current = { ...run, logs: [...run.logs] };
+    setMode(run.mode);
+    setLanguages(run.languages);
+    setLogs(run.logs);
+    setReview({ ...run.result, activeFile: 0 });
+    log("📂 Reopened from history, review the code below.");
+  };
+
+  // Runs a past entry again with the same settings; problem runs are pinned
+  // to the same problem rather than that day's pick
+  const rerun = (run) => {
+    const again = {
+      mode: run.mode,
+      languages: run.languages,
+      problemRef: run.problem ? run.problem.url : run.problemRef,
+      prompt: run.prompt
+    };
+    setMode(again.mode);
+    setLanguages(again.languages);
+    setProblemRef(again.problemRef);
+    setPrompt(again.prompt);
+    launch(again);
+  };
+
+  const removeRun = async (id) => {
+    await deleteRun(id);
+    await refreshHistory();
+  };
+
+  const clearHistory = async () => {
+    if (!window.confirm("Delete the whole run history?")) return;
+    await clearRuns();
+    await refreshHistory();
+  };
+
   return (
     <div className="app">
       <style>{`
@@ -520,6 +760,85 @@ export default function App() {
           line-height: 1.5;
         }
         
+        .load-repositories {
+          display: flex;
+          align-items: flex-end;
+        }
+
+        .repo-settings {
+          margin-top: 1rem;
+        }
+
+        .repo-settings summary {
+          cursor: pointer;
+          color: #8b949e;
+        }
+
+        .repo-settings .hint {
+          margin-top: 0.5rem;
+          color: #8b949e;
+          font-size: 0.8rem;
+        }
+
+        .prompt-template {
+          margin-bottom: 1rem;
+        }
+
+        .prompt-template summary {
+          cursor: pointer;
+          color: #8b949e;
+          margin-bottom: 0.5rem;
+        }
+
+        .prompt-template .template-editor {
+          min-height: 240px;
+          font-family: monospace;
+          font-size: 0.85rem;
+        }
+
+        .prompt-template .hint {
+          margin-bottom: 0.75rem;
+          color: #8b949e;
+          font-size: 0.8rem;
+          line-height: 1.8;
+        }
+
+        .prompt-template .hint code {
+          margin-right: 0.4rem;
+          padding: 0.1rem 0.3rem;
+          background: #21262d;
+          border-radius: 4px;
+        }
+
+        .prompt-template .hint.warning {
+          color: #d29922;
+        }
+
+        .prompt-preview {
+          margin-top: 0.75rem;
+          padding: 0.75rem;
+          max-height: 320px;
+          overflow: auto;
+          white-space: pre-wrap;
+          background: #0d1117;
+          border: 1px solid #30363d;
+          border-radius: 6px;
+          font-size: 0.8rem;
+        }
+
+        .device-code {
+          margin-top: 0.75rem;
+          padding: 0.75rem;
+          border: 1px solid #30363d;
+          border-radius: 6px;
+        }
+
+        .device-code b {
+          font-family: monospace;
+          font-size: 1.1rem;
+          letter-spacing: 0.1em;
+        }
+
         .warning a {
           color: #58a6ff;
           text-decoration: none;
@@ -596,6 +915,260 @@ export default function App() {
           font-size: 0.85rem;
         }
         
+        .code-editor {
+          position: relative;
+          height: 400px;
+          margin-bottom: 1rem;
+          border: 1px solid #30363d;
+          border-radius: 6px;
+          background: #0d1117;
+          overflow: hidden;
+        }
+
+        .code-editor pre,
+        .code-editor textarea {
+          position: absolute;
+          inset: 0;
+          margin: 0;
+          padding: 0.8rem;
+          border: none;
+          border-radius: 0;
+          font-family: inherit;
+          font-size: 0.85rem;
+          line-height: 1.5;
+          tab-size: 4;
+          white-space: pre;
+          overflow: auto;
+          box-sizing: border-box;
+        }
+
+        .code-editor pre {
+          pointer-events: none;
+        }
+
+        .code-editor pre code.hljs {
+          padding: 0;
+          background: transparent;
+        }
+
+        .code-editor textarea {
+          width: 100%;
+          height: 100%;
+          min-height: 0;
+          resize: none;
+          background: transparent;
+          color: transparent;
+          caret-color: #c9d1d9;
+        }
+
+        .file-tabs {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 0.5rem;
+          margin-bottom: 1rem;
+        }
+
+        .file-tabs button {
+          background: #21262d;
+          color: #8b949e;
+          padding: 0.4rem 0.8rem;
+          font-size: 0.8rem;
+          font-weight: normal;
+        }
+
+        .file-tabs button.selected {
+          color: #f0f6fc;
+          box-shadow: inset 0 -2px 0 #238636;
+        }
+
+        .complexity {
+          margin: 0 0 1rem;
+          font-size: 0.85rem;
+          color: #8b949e;
+        }
+
+        .complexity strong {
+          color: #c9d1d9;
+        }
+
+        .actions {
+          display: flex;
+          gap: 0.5rem;
+        }
+
+        button.secondary {
+          background: #21262d;
+          color: #c9d1d9;
+        }
+
+        button.secondary:hover:not(:disabled) {
+          background: #30363d;
+        }
+
+        button.danger {
+          background: #da3633;
+        }
+
+        button.danger:hover:not(:disabled) {
+          background: #f85149;
+        }
+
+        .language-picker {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 0 1.25rem;
+        }
+
+        .language-picker .checkbox {
+          margin-bottom: 0.5rem;
+        }
+
+        .checkbox {
+          display: flex;
+          align-items: center;
+          gap: 0.5rem;
+          margin-bottom: 1rem;
+          cursor: pointer;
+        }
+
+        .checkbox input {
+          width: auto;
+          margin: 0;
+        }
+
+        .history {
+          list-style: none;
+          margin-bottom: 1rem;
+        }
+
+        .history li {
+          border-bottom: 1px solid #30363d;
+        }
+
+        .history-summary {
+          display: flex;
+          gap: 1rem;
+          width: 100%;
+          text-align: left;
+          background: none;
+          color: #c9d1d9;
+          font-weight: normal;
+          font-size: 0.85rem;
+          padding: 0.6rem 0.2rem;
+          border-radius: 0;
+        }
+
+        .history-summary:hover:not(:disabled) {
+          background: #1c2128;
+        }
+
+        .history-date, .history-sha {
+          color: #8b949e;
+          white-space: nowrap;
+        }
+
+        .history-title {
+          flex: 1;
+          color: #f0f6fc;
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+        }
+
+        .history-details {
+          padding: 0.5rem 0.2rem 1rem;
+          font-size: 0.85rem;
+        }
+
+        .history-details dl {
+          display: grid;
+          grid-template-columns: max-content 1fr;
+          gap: 0.3rem 1rem;
+          margin-bottom: 0.8rem;
+        }
+
+        .history-details dt {
+          color: #8b949e;
+        }
+
+        .history-details a {
+          color: #58a6ff;
+        }
+
+        .history-log {
+          background: #010409;
+          color: #7ee787;
+          padding: 0.8rem;
+          max-height: 240px;
+          overflow: auto;
+          border-radius: 6px;
+          margin-bottom: 0.8rem;
+          font-family: inherit;
+        }
+
+        .usage-table {
+          width: 100%;
+          margin-bottom: 1rem;
+          border-collapse: collapse;
+          font-size: 0.85rem;
+        }
+
+        .usage-table th,
+        .usage-table td {
+          padding: 0.4rem 0.6rem;
+          border-bottom: 1px solid #21262d;
+          text-align: right;
+        }
+
+        .usage-table th:first-child {
+          text-align: left;
+          color: #8b949e;
+          font-weight: normal;
+        }
+
+        .usage-heading {
+          margin: 1rem 0 0.5rem;
+          color: #f0f6fc;
+          font-size: 0.95rem;
+        }
+
+        .budget {
+          margin-bottom: 0.75rem;
+          font-size: 0.85rem;
+        }
+
+        .budget-bar {
+          height: 6px;
+          margin-top: 0.3rem;
+          background: #21262d;
+          border-radius: 3px;
+          overflow: hidden;
+        }
+
+        .budget-bar div {
+          height: 100%;
+          background: #238636;
+        }
+
+        .budget-bar div.near {
+          background: #d29922;
+        }
+
+        .budget-bar div.over {
+          background: #da3633;
+        }
+
+        .usage-hint {
+          margin-bottom: 1rem;
+          color: #8b949e;
+          font-size: 0.8rem;
+        }
+
+        .history-empty {
+          color: #8b949e;
+          margin-bottom: 1rem;
+        }
+        
         .row {
           display: flex;
           gap: 1rem;
@@ -615,51 +1188,178 @@ export default function App() {
 
       <section className="panel">
         <h2>🔐 Settings</h2>
-        <label>Gemini API Key</label>
+        <label>LLM Provider</label>
+        <select value={provider} onChange={(e) => setProvider(e.target.value)}>
+          {Object.entries(PROVIDERS).map(([id, p]) => (
+            <option key={id} value={id}>{p.label}</option>
+          ))}
+        </select>
+
+        <label>{PROVIDERS[provider].label} API Key{!PROVIDERS[provider].requiresKey && " (Optional)"}</label>
         <input
           type="password"
-          placeholder="Enter your Gemini API key"
-          value={geminiKey}
-          onChange={(e) => setGeminiKey(e.target.value)}
+          placeholder={`Enter your ${PROVIDERS[provider].label} API key`}
+          value={llmSettings.apiKey}
+          onChange={(e) => updateLlmSetting("apiKey", e.target.value)}
         />
+
+        <div className="row">
+          {provider !== "gemini" && (
+            <div>
+              <label>Base URL</label>
+              <input
+                type="text"
+                placeholder={PROVIDERS[provider].defaults.baseUrl}
+                value={savedLlmSettings.baseUrl || ""}
+                onChange={(e) => updateLlmSetting("baseUrl", e.target.value)}
+              />
+            </div>
+          )}
+
+          <div>
+            <label>Model</label>
+            <input
+              type="text"
+              placeholder={PROVIDERS[provider].defaults.model}
+              value={savedLlmSettings.model || ""}
+              onChange={(e) => updateLlmSetting("model", e.target.value)}
+            />
+          </div>
+        </div>
         
-        <label>GitHub Personal Access Token</label>
+        <div className="row">
+          <div>
+            <label>Git Host</label>
+            <select value={gitHost} onChange={(e) => setGitHost(e.target.value)}>
+              {Object.entries(HOSTS).map(([id, host]) => (
+                <option key={id} value={id}>{host.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label>Server URL{HOSTS[gitHost].defaultUrl && " (Optional)"}</label>
+            <input
+              type="text"
+              placeholder={HOSTS[gitHost].defaultUrl || "https://git.example.com"}
+              value={gitHostUrl}
+              onChange={(e) => setGitHostUrl(e.target.value)}
+            />
+          </div>
+        </div>
+
+        <label>{onGitHubCom ? "GitHub Personal Access Token" : `${HOSTS[gitHost].label} Access Token`}</label>
         <input
           type="password"
-          placeholder="Enter your GitHub PAT"
+          placeholder={onGitHubCom ? "Enter your GitHub PAT, or sign in below" : "Enter a token with repository write access"}
           value={githubToken}
           onChange={(e) => setGithubToken(e.target.value)}
         />
+
+        {onGitHubCom && (
+          <>
+            <label>GitHub OAuth App Client ID (for Sign In)</label>
+            <input
+              type="text"
+              placeholder="Client ID of an OAuth App with device flow enabled"
+              value={githubClientId}
+              onChange={(e) => setGithubClientId(e.target.value)}
+            />
+          </>
+        )}
+
+        {deviceLogin && (
+          <div className="device-code">
+            Enter <b>{deviceLogin.userCode}</b> at{" "}
+            <a href={deviceLogin.verificationUri} target="_blank" rel="noopener noreferrer">{deviceLogin.verificationUri}</a>
+            {" "}to finish signing in.
+          </div>
+        )}
+
+        <div className="actions">
+          {deviceLogin ? (
+            <button className="secondary" onClick={() => signInAbort.current?.abort()}>Cancel Sign In</button>
+          ) : onGitHubCom && (
+            <button className="secondary" onClick={signIn}>🔑 Sign In with GitHub</button>
+          )}
+          <button className="secondary" onClick={testConnection} disabled={isLoading || !githubToken}>🔌 Test Connection</button>
+        </div>
         
-        <button onClick={saveSettings}>💾 Save Settings</button>
-
-        <div className="warning">
-          ⚠️ Use a <b>Fine-Grained Token</b> with <b>Contents: Read & Write</b> permission only.
-          <br />
-          <a href="https://github.com/settings/tokens?type=beta" target="_blank" rel="noopener noreferrer">
-            Create token →
-          </a>
+        <label>Credential Storage</label>
+        <select value={credentialStorage} onChange={(e) => setCredentialStorage(e.target.value)}>
+          <option value={CREDENTIAL_STORAGE.PLAIN}>Plain text in this browser</option>
+          <option value={CREDENTIAL_STORAGE.VAULT}>Encrypted vault (passphrase)</option>
+          <option value={CREDENTIAL_STORAGE.SESSION}>Don't persist (this session only)</option>
+        </select>
+
+        {(vaultLocked || credentialStorage === CREDENTIAL_STORAGE.VAULT) && !vaultHandle && (
+          <>
+            {vaultLocked && credentialStorage !== CREDENTIAL_STORAGE.VAULT && (
+              <div className="warning">🔒 Credentials are in a locked vault. Unlock it to move them, or clear the stored credentials.</div>
+            )}
+            <label>{vaultLocked ? "Vault Passphrase" : `New Vault Passphrase (${MIN_PASSPHRASE_LENGTH}+ characters)`}</label>
+            <input
+              type="password"
+              placeholder={vaultLocked ? "Enter the passphrase to unlock" : "Choose a passphrase"}
+              value={passphrase}
+              onChange={(e) => setPassphrase(e.target.value)}
+              onKeyDown={(e) => e.key === "Enter" && vaultLocked && unlock()}
+            />
+          </>
+        )}
+
+        {credentialStorage === CREDENTIAL_STORAGE.VAULT && vaultHandle && (
+          <>
+            <label>Change Passphrase</label>
+            <input
+              type="password"
+              placeholder="New passphrase"
+              value={newPassphrase}
+              onChange={(e) => setNewPassphrase(e.target.value)}
+            />
+          </>
+        )}
+
+        <div className="actions">
+          {vaultLocked ? (
+            <button onClick={unlock} disabled={!passphrase}>🔓 Unlock Vault</button>
+          ) : (
+            <button onClick={saveSettings}>💾 Save Settings</button>
+          )}
+          {credentialStorage === CREDENTIAL_STORAGE.VAULT && vaultHandle && (
+            <>
+              <button className="secondary" onClick={changePassphrase} disabled={!newPassphrase}>🔁 Change Passphrase</button>
+              <button className="secondary" onClick={lock}>🔒 Lock</button>
+            </>
+          )}
+          <button className="danger" onClick={clearCredentials}>🗑 Clear Stored Credentials</button>
         </div>
+
+        {onGitHubCom ? (
+          <div className="warning">
+            ⚠️ Use a <b>Fine-Grained Token</b> with <b>Contents: Read & Write</b> permission only.
+            <br />
+            <a href="https://github.com/settings/tokens?type=beta" target="_blank" rel="noopener noreferrer">
+              Create token →
+            </a>
+          </div>
+        ) : (
+          <div className="warning">⚠️ {HOSTS[gitHost].tokenHint}</div>
+        )}
       </section>
 
       <section className="panel">
         <h2>🎯 Mode Selection</h2>
         <div className="mode-grid">
-          <div 
-            className={`mode-card ${mode === MODES.LEETCODE ? 'selected' : ''}`}
-            onClick={() => setMode(MODES.LEETCODE)}
-          >
-            <h3>📊 LeetCode Daily</h3>
-            <p>Solve today's LeetCode challenge</p>
-          </div>
-          
-          <div 
-            className={`mode-card ${mode === MODES.CODEFORCE ? 'selected' : ''}`}
-            onClick={() => setMode(MODES.CODEFORCE)}
-          >
-            <h3>🏆 Codeforces Daily</h3>
-            <p>Solve today's Codeforces problem</p>
-          </div>
+          {SOURCES.map((source) => (
+            <div
+              key={source.mode}
+              className={`mode-card ${mode === source.mode ? 'selected' : ''}`}
+              onClick={() => setMode(source.mode)}
+            >
+              <h3>{source.card.icon} {source.card.title}</h3>
+              <p>{source.card.description}</p>
+            </div>
+          ))}
           
           <div 
             className={`mode-card ${mode === MODES.RANDOM ? 'selected' : ''}`}
@@ -679,29 +1379,244 @@ export default function App() {
         </div>
 
         <div className="row">
-          <div>
-            <label>Programming Language</label>
-            <select value={language} onChange={(e) => setLanguage(e.target.value)}>
-              <option value={LANGUAGES.PYTHON}>Python</option>
-              <option value={LANGUAGES.CPP}>C++</option>
-              <option value={LANGUAGES.JAVA}>Java</option>
-              <option value={LANGUAGES.JAVASCRIPT}>JavaScript</option>
-              <option value={LANGUAGES.GO}>Go</option>
-              <option value={LANGUAGES.RUST}>Rust</option>
-            </select>
-          </div>
+          {getSource(mode) ? (
+            <div>
+              <label>Programming Languages</label>
+              <div className="language-picker">
+                {Object.entries(LANGUAGES).map(([id, lang]) => (
+                  <label key={id} className="checkbox">
+                    <input
+                      type="checkbox"
+                      checked={languages.includes(id)}
+                      onChange={() => toggleLanguage(id)}
+                    />
+                    {lang.name}
+                  </label>
+                ))}
+              </div>
+            </div>
+          ) : (
+            <div>
+              <label>Programming Language</label>
+              <select value={languages[0]} onChange={(e) => setLanguages([e.target.value])}>
+                {Object.entries(LANGUAGES).map(([id, lang]) => (
+                  <option key={id} value={id}>{lang.name}</option>
+                ))}
+              </select>
+            </div>
+          )}
           
           <div>
             <label>Repository Override (Optional)</label>
             <input
               type="text"
+              list="repository-options"
               placeholder="Leave empty for auto-selection"
               value={repoOverride}
               onChange={(e) => setRepoOverride(e.target.value)}
             />
+            <datalist id="repository-options">
+              {repositories.map((name) => <option key={name} value={name} />)}
+            </datalist>
           </div>
         </div>
 
+        <div className="row">
+          <div>
+            <label>Repository Owner (Optional)</label>
+            <input
+              type="text"
+              list="owner-options"
+              placeholder="Leave empty for your own account"
+              value={repoSettings.owner}
+              onChange={(e) => updateRepoSetting("owner", e.target.value)}
+            />
+            <datalist id="owner-options">
+              {owners.map(({ login, type }) => (
+                <option key={login} value={login}>{type === "org" ? "Organization" : "Your account"}</option>
+              ))}
+            </datalist>
+          </div>
+          <div className="load-repositories">
+            <button className="secondary" onClick={loadRepositories} disabled={isLoading || !githubToken}>
+              🔄 Load Owners & Repositories
+            </button>
+          </div>
+        </div>
+
+        <details className="repo-settings">
+          <summary>New repository settings</summary>
+          <div className="row">
+            <div>
+              <label>Visibility</label>
+              <select value={repoSettings.visibility} onChange={(e) => updateRepoSetting("visibility", e.target.value)}>
+                {VISIBILITIES.map((visibility) => <option key={visibility} value={visibility}>{visibility}</option>)}
+              </select>
+            </div>
+            <div>
+              <label>Default Branch</label>
+              <input
+                type="text"
+                placeholder="Host default"
+                value={repoSettings.defaultBranch}
+                onChange={(e) => updateRepoSetting("defaultBranch", e.target.value.trim())}
+              />
+            </div>
+          </div>
+          <div className="row">
+            <div>
+              <label>License</label>
+              <select value={repoSettings.license} onChange={(e) => updateRepoSetting("license", e.target.value)}>
+                <option value="">None</option>
+                {Object.entries(LICENSES).map(([id, name]) => <option key={id} value={id}>{name}</option>)}
+              </select>
+            </div>
+            <div>
+              <label>.gitignore Template</label>
+              <input
+                type="text"
+                placeholder="None (e.g. Python, C++, Node)"
+                value={repoSettings.gitignore}
+                onChange={(e) => updateRepoSetting("gitignore", e.target.value)}
+              />
+            </div>
+          </div>
+          <label>Topics</label>
+          <input
+            type="text"
+            placeholder="Comma-separated (e.g. dsa, leetcode)"
+            value={repoSettings.topics}
+            onChange={(e) => updateRepoSetting("topics", e.target.value)}
+          />
+          <label className="checkbox">
+            <input
+              type="checkbox"
+              checked={repoSettings.readme}
+              onChange={(e) => updateRepoSetting("readme", e.target.checked)}
+            />
+            Start with a README
+          </label>
+          <div className="hint">Only applied when GitExpress creates a missing repository. Templates and a custom default branch start the repository with an initial commit.</div>
+        </details>
+
+        <label className="checkbox">
+          <input
+            type="checkbox"
+            checked={pullRequest}
+            onChange={(e) => setPullRequest(e.target.checked)}
+          />
+          Open a pull request instead of committing to the default branch
+        </label>
+
+        {getSource(mode) && (
+          <>
+            <label>Specific Problem (Optional)</label>
+            <input
+              type="text"
+              placeholder="Leave empty for today's problem, or paste a problem URL / ID (e.g. two-sum, 1520A, abc300_a)"
+              value={problemRef}
+              onChange={(e) => setProblemRef(e.target.value)}
+            />
+          </>
+        )}
+
+        {mode === MODES.LEETCODE && (
+          <>
+            <label>LeetCode GraphQL Proxy (Optional)</label>
+            <input
+              type="text"
+              placeholder={DEFAULT_GRAPHQL_URL}
+              value={leetcodeUrl}
+              onChange={(e) => setLeetcodeUrl(e.target.value)}
+            />
+          </>
+        )}
+
+        {mode === MODES.CODEFORCE && !problemRef.trim() && (
+          <>
+            <div className="row">
+              <div>
+                <label>Min Rating</label>
+                <input
+                  type="number"
+                  step="100"
+                  value={cfFilters.minRating}
+                  onChange={(e) => updateCfFilter("minRating", e.target.value)}
+                />
+              </div>
+              <div>
+                <label>Max Rating</label>
+                <input
+                  type="number"
+                  step="100"
+                  value={cfFilters.maxRating}
+                  onChange={(e) => updateCfFilter("maxRating", e.target.value)}
+                />
+              </div>
+              <div>
+                <label>Division</label>
+                <select value={cfFilters.division} onChange={(e) => updateCfFilter("division", e.target.value)}>
+                  <option value="">Any</option>
+                  {CODEFORCES_DIVISIONS.map((division) => (
+                    <option key={division} value={division}>{division}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            <div className="row">
+              <div>
+                <label>Include Tags (all required)</label>
+                <input
+                  type="text"
+                  placeholder="e.g. greedy, math"
+                  value={cfFilters.includeTags}
+                  onChange={(e) => updateCfFilter("includeTags", e.target.value)}
+                />
+              </div>
+              <div>
+                <label>Exclude Tags</label>
+                <input
+                  type="text"
+                  placeholder="e.g. interactive, *special"
+                  value={cfFilters.excludeTags}
+                  onChange={(e) => updateCfFilter("excludeTags", e.target.value)}
+                />
+              </div>
+            </div>
+
+            <label className="checkbox">
+              <input
+                type="checkbox"
+                checked={cfFilters.skipSolved}
+                onChange={(e) => updateCfFilter("skipSolved", e.target.checked)}
+              />
+              Skip problems already committed to the repository
+            </label>
+          </>
+        )}
+
+        {getSource(mode) && (
+          <>
+            <label>If a Solution Already Exists</label>
+            <select value={onExisting} onChange={(e) => setOnExisting(e.target.value)}>
+              <option value={ON_EXISTING.UPDATE}>Update it in place</option>
+              <option value={ON_EXISTING.VERSION}>Keep it and add a new version</option>
+            </select>
+          </>
+        )}
+
+        {getSource(mode) && (
+          <label className="checkbox">
+            <input
+              type="checkbox"
+              checked={verifyTests}
+              onChange={(e) => setVerifyTests(e.target.checked)}
+            />
+            Run sample tests before committing (JavaScript, Python)
+          </label>
+        )}
+
         {(mode === MODES.CUSTOM || mode === MODES.RANDOM) && (
           <>
             <label>Prompt {mode === MODES.CUSTOM && <span style={{color: '#f85149'}}>*</span>}</label>
@@ -717,11 +1632,102 @@ export default function App() {
           </>
         )}
 
+        <details className="prompt-template">
+          <summary>Prompt template{promptTemplates[mode] ? " (customized)" : ""}</summary>
+          <textarea
+            className="template-editor"
+            value={templateText}
+            onChange={(e) => setTemplateDrafts((drafts) => ({ ...drafts, [mode]: e.target.value }))}
+            spellCheck={false}
+          />
+          <div className="hint">
+            Variables: {Object.entries(TEMPLATE_VARIABLES).map(([name, description]) => (
+              <code key={name} title={description}>{`{{${name}}}`}</code>
+            ))}
+            <br />
+            Text inside <code>{"{{#name}}…{{/name}}"}</code> is only kept when the variable has a value, inside <code>{"{{^name}}…{{/name}}"}</code> only when it's empty. The reply format is always added after the template.
+          </div>
+          {unknownTemplateVariables.length > 0 && (
+            <div className="hint warning">⚠️ Unknown variables: {unknownTemplateVariables.join(", ")}</div>
+          )}
+          <div className="actions">
+            <button className="secondary" onClick={saveTemplate} disabled={!templateChanged}>💾 Save</button>
+            <button className="secondary" onClick={resetTemplate} disabled={!promptTemplates[mode] && !templateChanged}>↩️ Reset to Default</button>
+            <button className="secondary" onClick={() => setShowPromptPreview((show) => !show)}>
+              👁️ {showPromptPreview ? "Hide Preview" : "Preview"}
+            </button>
+            <button className="secondary" onClick={exportPromptTemplates} disabled={Object.keys(promptTemplates).length === 0}>📤 Export</button>
+            <button className="secondary" onClick={() => templateImport.current.click()}>📥 Import</button>
+            <input
+              ref={templateImport}
+              type="file"
+              accept="application/json,.json"
+              hidden
+              onChange={(e) => {
+                importPromptTemplates(e.target.files[0]);
+                e.target.value = "";
+              }}
+            />
+          </div>
+          {showPromptPreview && <pre className="prompt-preview">{promptPreview()}</pre>}
+        </details>
+
         <button onClick={start} disabled={isLoading}>
-          {isLoading ? "⏳ Processing..." : "🚀 Generate & Commit"}
+          {isLoading ? "⏳ Processing..." : "🚀 Generate"}
         </button>
       </section>
 
+      {draft !== null && (
+        <section className="panel">
+          <h2>✍️ Generating...</h2>
+          <CodeEditor
+            value={draft.text}
+            onChange={() => {}}
+            path={mode === MODES.CUSTOM ? null : `draft${LANGUAGES[draft.language].extension}`}
+            readOnly
+          />
+        </section>
+      )}
+
+      {review && draft === null && (
+        <section className="panel">
+          <h2>📝 Review</h2>
+          {review.solutions?.filter((s) => s.complexity).map((s) => (
+            <p key={s.path} className="complexity">
+              <strong>{LANGUAGES[s.language].name}</strong> · ⏱️ Time {s.complexity.time || "?"} · 💾 Space {s.complexity.space || "?"}
+            </p>
+          ))}
+          {review.files.length > 1 && (
+            <div className="file-tabs">
+              {review.files.map((file, i) => (
+                <button
+                  key={file.path}
+                  className={i === review.activeFile ? "selected" : ""}
+                  onClick={() => setReview((r) => ({ ...r, activeFile: i }))}
+                >
+                  {file.path}
+                </button>
+              ))}
+            </div>
+          )}
+          {review.files.length === 1 && <label>{review.files[0].path}</label>}
+
+          <CodeEditor
+            value={review.files[review.activeFile].content}
+            onChange={updateReviewFile}
+            path={review.files[review.activeFile].path}
+          />
+
+          <div className="actions">
+            <button onClick={commit} disabled={isLoading}>
+              {pullRequest ? "🔀 Open Pull Request" : "✅ Commit"}
+            </button>
+            <button className="secondary" onClick={regenerate} disabled={isLoading}>🔄 Regenerate</button>
+            <button className="danger" onClick={cancelReview} disabled={isLoading}>✖ Cancel</button>
+          </div>
+        </section>
+      )}
+
       <section className="panel">
         <h2>📟 Terminal Output</h2>
         <div className="terminal">
@@ -733,6 +1739,23 @@ export default function App() {
           ))}
         </div>
       </section>
+
+      <UsagePanel
+        usage={usage}
+        budgets={budgets}
+        disabled={isLoading}
+        onBudgetChange={updateBudget}
+        onClear={resetUsage}
+      />
+
+      <HistoryPanel
+        runs={history}
+        disabled={isLoading}
+        onReopen={reopenRun}
+        onRerun={rerun}
+        onDelete={removeRun}
+        onClear={clearHistory}
+      />
     </div>
   );
 }
@@ -0,0 +1,86 @@
+import { useRef } from "react";
+import hljs from "highlight.js/lib/core";
+import bash from "highlight.js/lib/languages/bash";
+import c from "highlight.js/lib/languages/c";
+import cpp from "highlight.js/lib/languages/cpp";
+import csharp from "highlight.js/lib/languages/csharp";
+import css from "highlight.js/lib/languages/css";
+import go from "highlight.js/lib/languages/go";
+import java from "highlight.js/lib/languages/java";
+import javascript from "highlight.js/lib/languages/javascript";
+import json from "highlight.js/lib/languages/json";
+import kotlin from "highlight.js/lib/languages/kotlin";
+import markdown from "highlight.js/lib/languages/markdown";
+import python from "highlight.js/lib/languages/python";
+import rust from "highlight.js/lib/languages/rust";
+import swift from "highlight.js/lib/languages/swift";
+import typescript from "highlight.js/lib/languages/typescript";
+import xml from "highlight.js/lib/languages/xml";
+import yaml from "highlight.js/lib/languages/yaml";
+import "highlight.js/styles/github-dark.css";
+import { LANGUAGES } from "./languages.js";
+
+const HIGHLIGHTERS = {
+  bash, c, cpp, csharp, css, go, java, javascript, json, kotlin, markdown, python, rust, swift, typescript, xml, yaml
+};
+Object.entries(HIGHLIGHTERS).forEach(([name, definition]) => hljs.registerLanguage(name, definition));
+
+// Solution extensions come from the language registry; the rest are project files
+const EXTENSION_LANGUAGES = {
+  ...Object.fromEntries(Object.values(LANGUAGES).map((lang) => [lang.extension.slice(1), lang.highlight])),
+  cc: "cpp",
+  h: "cpp",
+  hpp: "cpp",
+  jsx: "javascript",
+  mjs: "javascript",
+  tsx: "typescript",
+  kts: "kotlin",
+  json: "json",
+  md: "markdown",
+  html: "xml",
+  xml: "xml",
+  css: "css",
+  yml: "yaml",
+  yaml: "yaml",
+  sh: "bash"
+};
+
+function languageForPath(path) {
+  const extension = (path || "").split(".").pop().toLowerCase();
+  return EXTENSION_LANGUAGES[extension] || null;
+}
+
+function escapeHtml(text) {
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+// Editable code view: a transparent textarea layered over a highlighted <pre>
+export default function CodeEditor({ value, onChange, path, readOnly = false }) {
+  const highlightRef = useRef(null);
+  const language = languageForPath(path);
+
+  const html = language
+    ? hljs.highlight(value, { language, ignoreIllegals: true }).value
+    : escapeHtml(value);
+
+  const syncScroll = (e) => {
+    highlightRef.current.scrollTop = e.target.scrollTop;
+    highlightRef.current.scrollLeft = e.target.scrollLeft;
+  };
+
+  return (
+    <div className="code-editor">
+      <pre ref={highlightRef} aria-hidden="true">
+        {/* Trailing newline keeps the last line's height in sync with the textarea */}
+        <code className="hljs" dangerouslySetInnerHTML={{ __html: `${html}\n` }} />
+      </pre>
+      <textarea
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        onScroll={syncScroll}
+        readOnly={readOnly}
+        spellCheck={false}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,114 @@
+import { useState } from "react";
+import { LANGUAGES } from "./languages.js";
+import { MODES } from "./modes.js";
+import { RUN_STATUS } from "./history.js";
+import { formatUsage } from "./usage.js";
+
+const STATUS_ICONS = {
+  [RUN_STATUS.RUNNING]: "⏳",
+  [RUN_STATUS.REVIEW]: "👀",
+  [RUN_STATUS.COMMITTED]: "✅",
+  [RUN_STATUS.UNCHANGED]: "➖",
+  [RUN_STATUS.CANCELLED]: "🚫",
+  [RUN_STATUS.FAILED]: "❌"
+};
+
+function describeRun(run) {
+  if (run.problem) return `${run.problem.id}. ${run.problem.title}`;
+  if (run.prompt) return run.prompt.length > 80 ? `${run.prompt.slice(0, 80)}…` : run.prompt;
+  return run.problemRef || "Daily problem";
+}
+
+function matches(run, query) {
+  const text = [describeRun(run), run.prompt, run.repo, run.model, ...(run.paths || [])].join(" ").toLowerCase();
+  return text.includes(query.trim().toLowerCase());
+}
+
+// Past runs, newest first, with filters and per-run actions
+export default function HistoryPanel({ runs, disabled, onReopen, onRerun, onDelete, onClear }) {
+  const [query, setQuery] = useState("");
+  const [modeFilter, setModeFilter] = useState("");
+  const [statusFilter, setStatusFilter] = useState("");
+  const [expanded, setExpanded] = useState(null);
+
+  const visible = runs.filter((run) => (!modeFilter || run.mode === modeFilter)
+    && (!statusFilter || run.status === statusFilter)
+    && (!query.trim() || matches(run, query)));
+
+  return (
+    <section className="panel">
+      <h2>🕘 History</h2>
+
+      <div className="row">
+        <div>
+          <label>Search</label>
+          <input
+            type="text"
+            placeholder="Problem, prompt, repository, file..."
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+          />
+        </div>
+        <div>
+          <label>Mode</label>
+          <select value={modeFilter} onChange={(e) => setModeFilter(e.target.value)}>
+            <option value="">All modes</option>
+            {Object.values(MODES).map((mode) => <option key={mode} value={mode}>{mode}</option>)}
+          </select>
+        </div>
+        <div>
+          <label>Status</label>
+          <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)}>
+            <option value="">All statuses</option>
+            {Object.values(RUN_STATUS).map((status) => <option key={status} value={status}>{status}</option>)}
+          </select>
+        </div>
+      </div>
+
+      {visible.length === 0 && <div className="history-empty">No runs yet.</div>}
+
+      <ul className="history">
+        {visible.map((run) => (
+          <li key={run.id}>
+            <button className="history-summary" onClick={() => setExpanded(expanded === run.id ? null : run.id)}>
+              <span>{STATUS_ICONS[run.status]}</span>
+              <span className="history-date">{new Date(run.startedAt).toLocaleString()}</span>
+              <span>{run.mode}</span>
+              <span>{run.languages.map((id) => LANGUAGES[id]?.name || id).join(", ")}</span>
+              <span className="history-title">{describeRun(run)}</span>
+              {run.sha && <span className="history-sha">{run.sha.slice(0, 7)}</span>}
+            </button>
+
+            {expanded === run.id && (
+              <div className="history-details">
+                <dl>
+                  <dt>Status</dt><dd>{run.status}{run.error ? `: ${run.error}` : ""}</dd>
+                  <dt>Model</dt><dd>{run.provider} / {run.model}</dd>
+                  {run.usage && (
+                    <><dt>Usage</dt><dd>{run.usage.requests} call{run.usage.requests === 1 ? "" : "s"}, {formatUsage(run.usage)}</dd></>
+                  )}
+                  {run.repo && <><dt>Repository</dt><dd>{run.repo}</dd></>}
+                  {run.url && <><dt>Link</dt><dd><a href={run.url} target="_blank" rel="noreferrer">{run.url}</a></dd></>}
+                  {run.paths?.length > 0 && <><dt>Files</dt><dd>{run.paths.join(", ")}</dd></>}
+                  {run.prompt && <><dt>Prompt</dt><dd>{run.prompt}</dd></>}
+                </dl>
+                <pre className="history-log">{run.logs.join("\n")}</pre>
+                <div className="actions">
+                  {run.result && (
+                    <button onClick={() => onReopen(run)} disabled={disabled}>📂 Reopen Code</button>
+                  )}
+                  <button className="secondary" onClick={() => onRerun(run)} disabled={disabled}>🔁 Re-run</button>
+                  <button className="danger" onClick={() => onDelete(run.id)} disabled={disabled}>🗑 Delete</button>
+                </div>
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {runs.length > 0 && (
+        <button className="danger" onClick={onClear} disabled={disabled}>Clear History</button>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,104 @@
+import { BUDGET_LABELS, BUDGET_WARNING, budgetStatus, describeBudget, formatCost, usageTotals } from "./usage.js";
+
+function tokens(totals) {
+  return (totals.inputTokens + totals.outputTokens).toLocaleString();
+}
+
+// Calls without a known price leave the estimate short, marked with a "+"
+function cost(totals) {
+  if (totals.requests > 0 && totals.unpriced === totals.requests) return "unknown";
+  return `~${formatCost(totals.cost)}${totals.unpriced ? "+" : ""}`;
+}
+
+function UsageRow({ label, totals }) {
+  return (
+    <tr>
+      <th>{label}</th>
+      <td>{totals.requests.toLocaleString()}</td>
+      <td>{totals.inputTokens.toLocaleString()}</td>
+      <td>{totals.outputTokens.toLocaleString()}</td>
+      <td>{tokens(totals)}</td>
+      <td>{cost(totals)}</td>
+    </tr>
+  );
+}
+
+function UsageTable({ children }) {
+  return (
+    <table className="usage-table">
+      <thead>
+        <tr>
+          <th></th>
+          <th>Requests</th>
+          <th>Input</th>
+          <th>Output</th>
+          <th>Tokens</th>
+          <th>Est. Cost</th>
+        </tr>
+      </thead>
+      <tbody>{children}</tbody>
+    </table>
+  );
+}
+
+// Today's and this month's model usage, per model, and the budgets that
+// stop runs once they're used up
+export default function UsagePanel({ usage, budgets, disabled, onBudgetChange, onClear }) {
+  const totals = usageTotals(usage);
+  const statuses = budgetStatus(totals, budgets);
+
+  return (
+    <section className="panel">
+      <h2>📊 Usage</h2>
+
+      <UsageTable>
+        <UsageRow label="Today" totals={totals.today} />
+        <UsageRow label="This month" totals={totals.month} />
+      </UsageTable>
+
+      {totals.models.length > 0 && (
+        <>
+          <h3 className="usage-heading">By model this month</h3>
+          <UsageTable>
+            {totals.models.map((model) => <UsageRow key={model.key} label={model.key} totals={model.month} />)}
+          </UsageTable>
+        </>
+      )}
+
+      {statuses.map((status) => (
+        <div key={status.id} className="budget">
+          <div>{describeBudget(status)}</div>
+          <div className="budget-bar">
+            <div
+              className={status.share >= 1 ? "over" : status.share >= BUDGET_WARNING ? "near" : ""}
+              style={{ width: `${Math.min(status.share, 1) * 100}%` }}
+            />
+          </div>
+        </div>
+      ))}
+
+      <h3 className="usage-heading">Budgets</h3>
+      <div className="row">
+        {Object.entries(BUDGET_LABELS).map(([id, label]) => (
+          <div key={id}>
+            <label>{label}</label>
+            <input
+              type="number"
+              min="0"
+              step={id === "monthlyCost" ? "0.01" : "1"}
+              placeholder="No limit"
+              value={budgets[id]}
+              onChange={(e) => onBudgetChange(id, e.target.value)}
+            />
+          </div>
+        ))}
+      </div>
+      <div className="usage-hint">
+        Runs stop before their next model call once a budget is used up, with a warning from {BUDGET_WARNING * 100}%. Days and months
+        are counted in UTC; costs are estimated from list prices, and local models are free.
+      </div>
+
+      <button className="danger" onClick={onClear} disabled={disabled}>Reset Usage</button>
+    </section>
+  );
+}
@@ -0,0 +1,212 @@
+import { readFile, writeFile } from "node:fs/promises";
+import { resolve } from "node:path";
+import { ON_EXISTING } from "../core/pipeline.js";
+import { importTemplates } from "../core/templates.js";
+import { DEFAULT_HOST, DEFAULT_REPO_SETTINGS, HOSTS, VISIBILITIES } from "../hosts/index.js";
+import { DEFAULT_LANGUAGE, LANGUAGES } from "../languages.js";
+import { MODES } from "../modes.js";
+import { PROVIDERS, getProviderSettings } from "../providers.js";
+import { DEFAULT_CODEFORCES_FILTERS } from "../sources/codeforces.js";
+import { DEFAULT_BUDGETS } from "../usage.js";
+
+export const DEFAULT_CONFIG_FILE = "gitexpress.config.json";
+
+// Names accepted by --mode and the config file's "mode"
+export const MODE_NAMES = {
+  leetcode: MODES.LEETCODE,
+  codeforces: MODES.CODEFORCE,
+  atcoder: MODES.ATCODER,
+  cses: MODES.CSES,
+  gfg: MODES.GFG,
+  hackerrank: MODES.HACKERRANK,
+  random: MODES.RANDOM,
+  custom: MODES.CUSTOM
+};
+
+// Secrets are read from the environment (e.g. GitHub Actions secrets) so the
+// config file itself can be committed
+const API_KEY_VARIABLES = {
+  gemini: "GEMINI_API_KEY",
+  openai: "OPENAI_API_KEY",
+  anthropic: "ANTHROPIC_API_KEY"
+};
+
+const TOKEN_VARIABLES = {
+  github: "GITHUB_TOKEN",
+  gitlab: "GITLAB_TOKEN",
+  gitea: "GITEA_TOKEN"
+};
+
+// The parsed config file; a missing default file counts as empty
+export async function loadConfig(path) {
+  const file = resolve(path || DEFAULT_CONFIG_FILE);
+
+  let text;
+  try {
+    text = await readFile(file, "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT" && !path) return {};
+    throw new Error(`Could not read config file ${file}: ${error.message}`);
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${file}: ${error.message}`);
+  }
+}
+
+// Prompt templates from a file exported by the web UI
+export async function loadPromptTemplates(path) {
+  const file = resolve(path);
+  let text;
+  try {
+    text = await readFile(file, "utf8");
+  } catch (error) {
+    throw new Error(`Could not read prompt templates ${file}: ${error.message}`);
+  }
+
+  try {
+    return importTemplates(text);
+  } catch (error) {
+    throw new Error(`Invalid prompt templates in ${file}: ${error.message}`);
+  }
+}
+
+// Usage recorded by earlier runs (see loadUsage in usage.js); a missing file
+// means none yet
+export async function loadUsageFile(path) {
+  const file = resolve(path);
+  let text;
+  try {
+    text = await readFile(file, "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") return {};
+    throw new Error(`Could not read usage file ${file}: ${error.message}`);
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${file}: ${error.message}`);
+  }
+}
+
+export async function saveUsageFile(path, usage) {
+  await writeFile(resolve(path), `${JSON.stringify(usage, null, 2)}\n`);
+}
+
+/**
+ * Merges command-line options over the config file and validates the result.
+ *
+ * Config file shape (every field optional):
+ * `{ mode, language | languages, problem, prompt, repo, verify, pullRequest,
+ *    onExisting, provider, providers: { <provider>: { apiKey, baseUrl, model } },
+ *    host, hostUrl, repository: { ...repo settings }, codeforces: { ...filters },
+ *    leetcode: { graphqlUrl }, prompts, budgets: { ...limits }, usageFile }`
+ * where `repository` is applied to auto-created repositories (see
+ * DEFAULT_REPO_SETTINGS in hosts/index.js), `prompts` is a prompt
+ * templates file exported by the web UI, `budgets` are usage limits (see
+ * DEFAULT_BUDGETS in usage.js) and `usageFile` keeps usage between runs.
+ */
+export function resolveSettings(config, options, env = process.env) {
+  const modeName = (options.mode || config.mode || "leetcode").toLowerCase();
+  const mode = MODE_NAMES[modeName];
+  if (!mode) {
+    throw new Error(`Unknown mode '${modeName}' (expected one of: ${Object.keys(MODE_NAMES).join(", ")})`);
+  }
+
+  // --lang takes a comma-separated list; the config file a "languages" array or one "language"
+  const languages = options.lang
+    ? options.lang.split(",").map((lang) => lang.trim().toLowerCase()).filter(Boolean)
+    : (config.languages || [config.language || DEFAULT_LANGUAGE]).map((lang) => lang.toLowerCase());
+  if (languages.length === 0) {
+    throw new Error("At least one language is required");
+  }
+  const unknown = languages.find((lang) => !LANGUAGES[lang]);
+  if (unknown) {
+    throw new Error(`Unknown language '${unknown}' (expected one of: ${Object.keys(LANGUAGES).join(", ")})`);
+  }
+
+  const provider = options.provider || config.provider || "gemini";
+  if (!PROVIDERS[provider]) {
+    throw new Error(`Unknown provider '${provider}' (expected one of: ${Object.keys(PROVIDERS).join(", ")})`);
+  }
+
+  const providerSettings = { ...config.providers };
+  providerSettings[provider] = {
+    ...providerSettings[provider],
+    ...(env[API_KEY_VARIABLES[provider]] && { apiKey: env[API_KEY_VARIABLES[provider]] }),
+    ...(options.model && { model: options.model })
+  };
+  const llm = getProviderSettings(providerSettings, provider);
+  if (PROVIDERS[provider].requiresKey && !llm.apiKey) {
+    throw new Error(`${PROVIDERS[provider].label} API key is required (set ${API_KEY_VARIABLES[provider]})`);
+  }
+
+  const prompt = options.prompt || config.prompt || "";
+  if (mode === MODES.CUSTOM && !prompt.trim()) {
+    throw new Error("A prompt is required for custom mode (--prompt)");
+  }
+
+  const onExisting = options["on-existing"] || config.onExisting || ON_EXISTING.UPDATE;
+  if (!Object.values(ON_EXISTING).includes(onExisting)) {
+    throw new Error(`Unknown --on-existing '${onExisting}' (expected one of: ${Object.values(ON_EXISTING).join(", ")})`);
+  }
+
+  const host = options.host || config.host || DEFAULT_HOST;
+  if (!HOSTS[host]) {
+    throw new Error(`Unknown host '${host}' (expected one of: ${Object.keys(HOSTS).join(", ")})`);
+  }
+  const hostUrl = options["host-url"] || config.hostUrl || "";
+  if (!hostUrl && !HOSTS[host].defaultUrl) {
+    throw new Error(`${HOSTS[host].label} needs the server URL (--host-url)`);
+  }
+
+  const repoSettings = {
+    ...DEFAULT_REPO_SETTINGS,
+    ...config.repository,
+    ...(options.owner && { owner: options.owner })
+  };
+  if (!VISIBILITIES.includes(repoSettings.visibility)) {
+    throw new Error(`Unknown visibility '${repoSettings.visibility}' (expected one of: ${VISIBILITIES.join(", ")})`);
+  }
+
+  const budgets = { ...DEFAULT_BUDGETS, ...config.budgets };
+  for (const [id, limit] of Object.entries(budgets)) {
+    if (!(id in DEFAULT_BUDGETS)) {
+      throw new Error(`Unknown budget '${id}' (expected one of: ${Object.keys(DEFAULT_BUDGETS).join(", ")})`);
+    }
+    if (limit !== "" && !(Number(limit) >= 0)) {
+      throw new Error(`Budget '${id}' must be a number`);
+    }
+  }
+
+  const token = env[TOKEN_VARIABLES[host]] || "";
+  if (!token && !options["dry-run"]) {
+    throw new Error(`${TOKEN_VARIABLES[host]} is required unless --dry-run is set`);
+  }
+
+  return {
+    mode,
+    languages: [...new Set(languages)],
+    problemRef: options.problem || config.problem || "",
+    prompt,
+    promptsFile: options.prompts || config.prompts || "",
+    repoOverride: options.repo || config.repo || "",
+    repoSettings,
+    verifyTests: options["no-verify"] ? false : config.verify !== false,
+    pullRequest: Boolean(options.pr || config.pullRequest),
+    onExisting,
+    dryRun: Boolean(options["dry-run"]),
+    provider,
+    llm,
+    host,
+    hostUrl,
+    token,
+    budgets,
+    usageFile: options["usage-file"] || config.usageFile || "",
+    filters: { ...DEFAULT_CODEFORCES_FILTERS, ...config.codeforces },
+    leetcodeUrl: config.leetcode?.graphqlUrl || ""
+  };
+}
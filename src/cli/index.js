@@ -0,0 +1,183 @@
+// Headless GitExpress: runs the same pipeline as the web UI without a
+// browser, so daily runs can be scheduled from cron or GitHub Actions.
+
+import { parseArgs } from "node:util";
+import { commitSolution, fetchProblem, findExistingSolutions, generateSolution, resolveProblem } from "../core/pipeline.js";
+import { createHost } from "../hosts/index.js";
+import { addUsage, checkBudgets, describeBudget, formatUsage, loadUsage, restoreUsage } from "../usage.js";
+import { loadConfig, loadPromptTemplates, loadUsageFile, resolveSettings, saveUsageFile } from "./config.js";
+import { createNodeRunner } from "./sandbox.js";
+
+const USAGE = `Usage: gitexpress run [options]
+
+Options:
+  --mode <name>       leetcode, codeforces, atcoder, cses, gfg, hackerrank, random or custom
+  --lang <languages>  comma-separated: python, cpp, java, javascript, typescript,
+                      go, rust, kotlin, csharp, swift, c (problem modes commit
+                      one solution per language)
+  --problem <ref>     a problem URL or ID instead of today's pick
+  --prompt <text>     what to build (custom mode)
+  --prompts <file>    prompt templates exported from the web UI
+  --usage-file <file> keeps token usage between runs, so the config file's
+                      daily and monthly budgets span runs
+  --repo <name>       target repository (defaults by mode)
+  --owner <login>     user or organization owning the repository (defaults to
+                      the token's user)
+  --host <name>       github (default), gitlab or gitea (also Forgejo)
+  --host-url <url>    server URL for GitHub Enterprise, self-managed GitLab or
+                      Gitea/Forgejo
+  --provider <name>   gemini, openai, anthropic or local
+  --model <name>      model to use instead of the provider's default
+  --config <file>     config file (default: gitexpress.config.json)
+  --no-verify         skip running the sample tests
+  --pr                commit to a new branch and open a pull request
+  --on-existing <how> update (default) or version: what to do when the problem
+                      already has a solution in this language
+  --dry-run           print the generated files instead of committing
+  -h, --help          show this help
+
+Environment:
+  GITHUB_TOKEN        personal access token used to commit (GITLAB_TOKEN or
+                      GITEA_TOKEN with --host gitlab or gitea)
+  GEMINI_API_KEY, OPENAI_API_KEY, ANTHROPIC_API_KEY
+`;
+
+const OPTIONS = {
+  mode: { type: "string" },
+  lang: { type: "string" },
+  problem: { type: "string" },
+  prompt: { type: "string" },
+  prompts: { type: "string" },
+  "usage-file": { type: "string" },
+  repo: { type: "string" },
+  owner: { type: "string" },
+  host: { type: "string" },
+  "host-url": { type: "string" },
+  provider: { type: "string" },
+  model: { type: "string" },
+  config: { type: "string" },
+  "no-verify": { type: "boolean" },
+  pr: { type: "boolean" },
+  "on-existing": { type: "string" },
+  "dry-run": { type: "boolean" },
+  help: { type: "boolean", short: "h" }
+};
+
+function log(msg) {
+  console.log(`[${new Date().toLocaleTimeString()}] ${msg}`);
+}
+
+function logUsage(call) {
+  addUsage(call);
+  log(`📊 ${call.model}: ${formatUsage(call)}`);
+}
+
+async function run(options) {
+  const settings = resolveSettings(await loadConfig(options.config), options);
+  const promptTemplates = settings.promptsFile ? await loadPromptTemplates(settings.promptsFile) : {};
+  if (settings.usageFile) {
+    restoreUsage(await loadUsageFile(settings.usageFile));
+  }
+
+  try {
+    return await runPipeline(settings, promptTemplates);
+  } finally {
+    if (settings.usageFile) await saveUsageFile(settings.usageFile, loadUsage());
+  }
+}
+
+async function runPipeline(settings, promptTemplates) {
+  // Fails before anything is fetched; the pipeline checks again before every model call
+  checkBudgets(settings.budgets).forEach((status) => log(`⚠️ Nearly over budget: ${describeBudget(status)}`));
+
+  const { mode, reference } = resolveProblem(settings.mode, settings.problemRef);
+  const host = createHost(settings.host, { token: settings.token, baseUrl: settings.hostUrl });
+
+  const problemData = await fetchProblem({
+    mode,
+    reference,
+    language: settings.languages[0],
+    // Solved problems can only be looked up with a token
+    filters: settings.token ? settings.filters : { ...settings.filters, skipSolved: false },
+    leetcodeUrl: settings.leetcodeUrl,
+    host,
+    owner: settings.repoSettings.owner,
+    repoOverride: settings.repoOverride,
+    log
+  });
+  const existing = settings.token
+    ? await findExistingSolutions(host, {
+      mode,
+      problemData,
+      languages: settings.languages,
+      owner: settings.repoSettings.owner,
+      repoOverride: settings.repoOverride,
+      log
+    })
+    : {};
+
+  const result = await generateSolution({
+    mode,
+    languages: settings.languages,
+    problemData,
+    userPrompt: settings.prompt,
+    promptTemplates,
+    provider: settings.provider,
+    settings: settings.llm,
+    verifyTests: settings.verifyTests,
+    createRunner: createNodeRunner,
+    existing,
+    onExisting: settings.onExisting,
+    log,
+    onUsage: logUsage,
+    budgets: settings.budgets
+  });
+  if (!result) {
+    log("🛑 Nothing was committed.");
+    return 1;
+  }
+
+  if (settings.dryRun) {
+    result.files.forEach((file) => console.log(`\n--- ${file.path} ---\n${file.content}`));
+    log("🧪 Dry run, nothing was committed.");
+    return 0;
+  }
+
+  await commitSolution(host, {
+    ...result,
+    repoOverride: settings.repoOverride,
+    repoSettings: settings.repoSettings,
+    pullRequest: settings.pullRequest,
+    llm: { provider: settings.provider, settings: settings.llm, onUsage: logUsage, budgets: settings.budgets },
+    log
+  });
+  return 0;
+}
+
+// Returns the process exit code
+export async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const { values, positionals } = parsed;
+  if (values.help || positionals.length === 0) {
+    console.log(USAGE);
+    return values.help ? 0 : 2;
+  }
+  if (positionals[0] !== "run" || positionals.length > 1) {
+    console.error(`Unknown command '${positionals.join(" ")}'\n\n${USAGE}`);
+    return 2;
+  }
+
+  try {
+    return await run(values);
+  } catch (error) {
+    log(`❌ Error: ${error.message}`);
+    return 1;
+  }
+}
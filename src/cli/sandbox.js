@@ -0,0 +1,53 @@
+import { Worker } from "node:worker_threads";
+
+// Node counterpart of verify.js's Web Worker runner, for verifySolution's `createRunner`.
+// This is not a real sandbox: the generated code runs with the CLI's user and
+// file access. It only keeps the environment (tokens, API keys) out of reach,
+// since the thread and its python3 get nothing but PATH.
+export function createNodeRunner() {
+  let worker = null;
+  let nextId = 0;
+
+  const run = (message, timeout) => {
+    if (!worker) {
+      worker = new Worker(new URL("./sandbox.worker.js", import.meta.url), { env: { PATH: process.env.PATH } });
+    }
+    const current = worker;
+    const id = nextId++;
+
+    return new Promise((resolve) => {
+      const finish = (result) => {
+        clearTimeout(timer);
+        current.off("message", onMessage);
+        current.off("error", onError);
+        resolve(result);
+      };
+
+      const timer = setTimeout(() => {
+        // A runaway solution can only be stopped by killing the thread
+        current.terminate();
+        worker = null;
+        finish({ ok: false, error: `Timed out after ${timeout / 1000}s` });
+      }, timeout);
+
+      const onMessage = (data) => {
+        if (data.id === id) finish(data);
+      };
+      const onError = (error) => {
+        worker = null;
+        finish({ ok: false, error: error.message || "Worker crashed" });
+      };
+
+      current.on("message", onMessage);
+      current.on("error", onError);
+      current.postMessage({ ...message, id });
+    });
+  };
+
+  const dispose = () => {
+    if (worker) worker.terminate();
+    worker = null;
+  };
+
+  return { run, dispose };
+}
@@ -0,0 +1,64 @@
+// Hosts the browser sandbox (../verify.worker.js) in a Node worker thread:
+// `self` is bridged to the thread's port, and Pyodide is replaced by just
+// enough of its API to run the sandbox's Python on a local python3.
+
+import { spawn } from "node:child_process";
+import { parentPort } from "node:worker_threads";
+
+// Kills a python3 left behind when the thread is terminated on timeout
+const PYTHON_TIMEOUT_MS = 10000;
+
+function createPython() {
+  const globals = {};
+
+  return {
+    globals: {
+      set(name, value) {
+        globals[name] = value;
+      }
+    },
+
+    // Globals go in as JSON on stdin and the runner's `__gx_output` comes back on stdout
+    runPythonAsync(code) {
+      const script = `import json, sys
+globals().update(json.loads(sys.stdin.read()))
+${code}
+sys.stdout.write(__gx_output)`;
+
+      return new Promise((resolve, reject) => {
+        // The thread's own environment is already down to PATH (see sandbox.js)
+        const child = spawn("python3", ["-c", script], {
+          env: { PATH: process.env.PATH, PYTHONIOENCODING: "utf-8" },
+          timeout: PYTHON_TIMEOUT_MS
+        });
+        let stdout = "";
+        let stderr = "";
+        child.stdout.on("data", (chunk) => {
+          stdout += chunk;
+        });
+        child.stderr.on("data", (chunk) => {
+          stderr += chunk;
+        });
+        child.on("error", reject);
+        child.on("close", (status) => {
+          if (status === 0) {
+            resolve(stdout);
+            return;
+          }
+          const error = new Error(stderr.trim() || `python3 exited with status ${status}`);
+          error.name = "PythonError";
+          reject(error);
+        });
+        child.stdin.end(JSON.stringify(globals));
+      });
+    }
+  };
+}
+
+globalThis.self = { postMessage: (data) => parentPort.postMessage(data) };
+globalThis.importScripts = () => {};
+globalThis.loadPyodide = async () => createPython();
+
+await import("../verify.worker.js");
+
+parentPort.on("message", (data) => globalThis.self.onmessage({ data }));
@@ -0,0 +1,106 @@
+// Pull request descriptions: problem summary, approach and complexity (from
+// the model), local test results and the files touched.
+
+import { LANGUAGES } from "../languages.js";
+import { createChat } from "../providers.js";
+import { getSource } from "../sources/index.js";
+import { checkBudgets } from "../usage.js";
+
+const SUMMARY_LENGTH = 600;
+
+const REVIEW_PROMPT = `You are describing a solution in a pull request.
+Reply with exactly these two Markdown sections and nothing else:
+
+## Approach
+<2-5 sentences explaining the idea behind the solution>
+
+## Complexity
+- Time: O(...)
+- Space: O(...)`;
+
+function summarize(text) {
+  const [first = ""] = text.trim().split(/\n\s*\n/);
+  return first.length > SUMMARY_LENGTH ? `${first.slice(0, SUMMARY_LENGTH).trimEnd()}…` : first;
+}
+
+function problemSection(mode, problemData, userPrompt) {
+  if (problemData) {
+    const meta = [getSource(mode).name, problemData.difficulty, ...problemData.tags].filter(Boolean).join(" · ");
+    const summary = problemData.description ? `\n\n${summarize(problemData.description)}` : "";
+    return `## Problem\n\n[${problemData.id}. ${problemData.title}](${problemData.url}) (${meta})${summary}`;
+  }
+  return userPrompt?.trim() ? `## Request\n\n${userPrompt.trim()}` : null;
+}
+
+function testReportText(testReport) {
+  if (!testReport) {
+    return "Not run locally.";
+  }
+  if (testReport.skipped) {
+    return `Not run locally: ${testReport.skipped}.`;
+  }
+
+  const results = testReport.results.map((r) => `- ${r.passed ? "✅" : "❌"} Sample ${r.index + 1}`);
+  const lines = results.length > 0 ? results : ["- ✅ Syntax check only (no runnable samples)"];
+  const attempts = testReport.attempts.length > 1 ? `\n\nRepair history:\n\n${testReport.attempts.map((line) => `- ${line}`).join("\n")}` : "";
+  return `${lines.join("\n")}${attempts}`;
+}
+
+function testSection(solutions) {
+  if (solutions.length === 1) {
+    return `## Tests\n\n${testReportText(solutions[0].testReport)}`;
+  }
+  return `## Tests\n\n${solutions
+    .map(({ language, testReport }) => `**${LANGUAGES[language].name}**\n\n${testReportText(testReport)}`)
+    .join("\n\n")}`;
+}
+
+// Asks the model for the approach and complexity sections, or null if it fails
+async function describeSolution({ provider, settings, onUsage, budgets }, code, log) {
+  try {
+    const chat = createChat(provider, settings, REVIEW_PROMPT, { onUsage, beforeSend: () => checkBudgets(budgets) });
+    return (await chat.sendMessage(code)).trim();
+  } catch (error) {
+    log(`⚠️ Could not describe the solution: ${error.message}`);
+    return null;
+  }
+}
+
+// Approach and complexity sections like REVIEW_PROMPT's, from a structured
+// reply's `{ explanation, complexity }`, or null when it had neither
+export function explanationMarkdown({ explanation, complexity }) {
+  const sections = [
+    explanation && `## Approach\n\n${explanation}`,
+    complexity && `## Complexity\n\n- Time: ${complexity.time || "not stated"}\n- Space: ${complexity.space || "not stated"}`
+  ].filter(Boolean);
+  return sections.length > 0 ? sections.join("\n\n") : null;
+}
+
+/**
+ * Builds the Markdown body of a pull request for a generated solution.
+ * `llm` is `{ provider, settings, onUsage, budgets }`; `solutions` comes from generateSolution.
+ */
+export async function buildPullRequestBody({ llm, mode, problemData, userPrompt, files, solutions, log }) {
+  // The approach is the same in every language, so one solution is enough.
+  // It usually came with the solution; otherwise the model is asked, and
+  // projects are described as a whole.
+  let explanation = solutions.length > 0 ? explanationMarkdown(solutions[0]) : null;
+  if (!explanation) {
+    const code = problemData
+      ? files[0].content
+      : files.map((file) => `--- ${file.path} ---\n${file.content}`).join("\n\n");
+
+    log("📝 Writing the pull request description...");
+    explanation = await describeSolution(llm, code, log);
+  }
+
+  const sections = [
+    problemSection(mode, problemData, userPrompt),
+    explanation,
+    solutions.length > 0 && testSection(solutions),
+    `## Files\n\n${files.map((file) => `- \`${file.path}\``).join("\n")}`,
+    "_Generated by GitExpress._"
+  ];
+
+  return sections.filter(Boolean).join("\n\n");
+}
@@ -0,0 +1,519 @@
+// The fetch → generate → verify → commit pipeline, shared by the web UI and
+// the headless CLI. Each step reports progress through `log` and throws on
+// failure; nothing here touches the DOM or browser storage, apart from the
+// recorded usage that budgets are checked against (see usage.js).
+
+import { gitBlobSha } from "../github.js";
+import { INDEX_JSON, INDEX_MARKDOWN, buildIndexMarkdown, buildProblemReadme, kebab, parseIndex, updateIndex } from "../dsa.js";
+import { formatDiff } from "../diff.js";
+import { LANGUAGES } from "../languages.js";
+import { MODES } from "../modes.js";
+import { PROVIDERS, createChat } from "../providers.js";
+import { getSource, resolveReference } from "../sources/index.js";
+import { checkBudgets } from "../usage.js";
+import { canVerify, describeFailure, findEntryPoint, hasPlainSignature, verifySolution } from "../verify.js";
+import { buildPullRequestBody, explanationMarkdown } from "./description.js";
+import { SOLUTION_SCHEMA, getSystemPrompt, parseCustomBuildResponse, parseSolutionResponse, partialCode } from "./prompts.js";
+
+// How many times a failing solution is sent back to the model for fixing
+export const MAX_REPAIR_ATTEMPTS = 3;
+
+// What to do when the problem already has a solution in the same language
+export const ON_EXISTING = {
+  UPDATE: "update",
+  VERSION: "version"
+};
+
+export function determineRepository(mode, { customRepoName = null, repoOverride = "" } = {}) {
+  if (repoOverride) return repoOverride;
+
+  // Every problem source shares the DSA repository
+  if (getSource(mode)) return "DSA";
+
+  switch (mode) {
+    case MODES.CUSTOM:
+      return customRepoName || "GitExpress-Archived";
+    case MODES.RANDOM:
+    default:
+      return "GitExpress-Archived";
+  }
+}
+
+// A specific problem instead of today's, possibly from another platform.
+// Returns the mode to run in and the parsed reference (null for the daily pick).
+export function resolveProblem(mode, problemRef) {
+  if (!getSource(mode) || !problemRef?.trim()) {
+    return { mode, reference: null };
+  }
+
+  const reference = resolveReference(problemRef, mode);
+  if (!reference) {
+    throw new Error("Unrecognized problem URL or ID.");
+  }
+  return { mode: reference.source.mode, reference };
+}
+
+// Account or organization that owns the target repositories: `owner` when
+// set, otherwise the token's user
+async function resolveOwner(host, owner) {
+  return owner || (await host.getUser()).login;
+}
+
+// Loads the referenced problem, or today's pick for the mode's source.
+// Returns null for modes without a problem source.
+export async function fetchProblem({ mode, reference, language, filters, leetcodeUrl, host, owner, repoOverride, log }) {
+  const source = getSource(mode);
+  let problemData = null;
+
+  if (reference) {
+    log(`📥 Fetching ${source.name} problem ${reference.id}...`);
+    problemData = await source.fetchById(reference.id, { language, leetcodeUrl });
+  } else if (source) {
+    const options = { language, leetcodeUrl };
+
+    if (mode === MODES.CODEFORCE) {
+      options.filters = filters;
+      options.solvedIds = new Set();
+      if (filters.skipSolved) {
+        const paths = await host.listRepoPaths({
+          owner: await resolveOwner(host, owner),
+          repo: determineRepository(mode, { repoOverride })
+        });
+        options.solvedIds = new Set(paths.map((path) => source.idFromPath(path)).filter(Boolean));
+        log(`📚 ${options.solvedIds.size} Codeforces problem${options.solvedIds.size === 1 ? "" : "s"} already solved`);
+      }
+    }
+
+    log(`📥 Fetching today's ${source.name} problem...`);
+    problemData = await source.fetchDaily(options);
+  }
+
+  if (problemData) {
+    problemData.fetchErrors?.forEach((error) => log(`⚠️ ${error}`));
+    log(`✅ Loaded: ${problemData.title} (${problemData.difficulty})${problemData.fetchedFrom ? ` via ${problemData.fetchedFrom}` : ""}`);
+
+    if (problemData.statementError) {
+      log(`⚠️ Could not load the problem statement: ${problemData.statementError}`);
+    } else if (problemData.samples.length > 0) {
+      log(`📄 Statement loaded (${problemData.samples.length} sample test${problemData.samples.length === 1 ? "" : "s"})`);
+    }
+  }
+
+  return problemData;
+}
+
+// Looks for committed solutions to the problem in each of `languages`.
+// Returns a map from language to the solution's path and blob SHA plus the
+// highest version number (a plain `solution.<ext>` is version 1,
+// alternatives are `solution-v2.<ext>`, ...); languages without one are left out.
+export async function findExistingSolutions(host, { mode, problemData, languages, owner, repoOverride, log }) {
+  const source = getSource(mode);
+  if (!source || !problemData) return {};
+
+  const entries = await host.listDirectory({
+    owner: await resolveOwner(host, owner),
+    repo: determineRepository(mode, { repoOverride }),
+    path: source.folder(problemData)
+  });
+
+  const existing = {};
+  for (const language of languages) {
+    const pattern = new RegExp(`^solution(?:-v(\\d+))?${LANGUAGES[language].extension.replace(".", "\\.")}$`);
+    const solutions = entries
+      .map((entry) => ({ entry, match: entry.type === "file" && entry.name.match(pattern) }))
+      .filter(({ match }) => match)
+      .map(({ entry, match }) => ({ path: entry.path, sha: entry.sha, version: match[1] ? Number(match[1]) : 1 }))
+      .sort((x, y) => x.version - y.version);
+
+    if (solutions.length === 0) continue;
+
+    const [original] = solutions;
+    const latestVersion = solutions[solutions.length - 1].version;
+    log(`♻️ Existing ${language} solution found: ${original.path} (blob ${original.sha.slice(0, 7)})${latestVersion > 1 ? `, ${solutions.length} versions` : ""}`);
+    existing[language] = { path: original.path, sha: original.sha, latestVersion };
+  }
+  return existing;
+}
+
+// Verifies a parsed solution against the problem's samples, sending
+// failures back to the model for a bounded number of repairs. Returns the
+// final solution (null once the attempts run out) and a test report:
+// `{ skipped }` when nothing could run, otherwise the last run's `results`
+// and a line per `attempts`.
+async function verifyAndRepair({ chat, mode, language, problemData, solution, createRunner, log, onText }) {
+  if (!canVerify(language)) {
+    log(`⚠️ Local verification is not available for ${language}, skipping`);
+    return { solution, testReport: { skipped: `verification is not available for ${language}` } };
+  }
+  if (!problemData.testKind) {
+    log(`⚠️ ${getSource(mode).name} problems can't be run locally, skipping verification`);
+    return { solution, testReport: { skipped: `${getSource(mode).name} problems can't be run locally` } };
+  }
+
+  const isFunction = problemData.testKind === "function";
+  let tests = problemData.samples || [];
+
+  if (isFunction && !hasPlainSignature(problemData.starterCode || solution.code)) {
+    log("⚠️ Signature uses LeetCode-specific types, only checking syntax");
+    tests = [];
+  } else if (tests.length === 0) {
+    log("⚠️ No sample tests found, only checking syntax");
+  }
+
+  const verify = async (candidate) => {
+    log(`🧪 Verifying solution against ${tests.length} sample test${tests.length === 1 ? "" : "s"}...`);
+    const verification = await verifySolution({
+      language,
+      code: candidate,
+      kind: problemData.testKind,
+      entry: isFunction ? findEntryPoint(language, candidate, problemData.starterCode) : null,
+      tests,
+      createRunner
+    });
+
+    if (verification.syntaxError) {
+      log(`❌ ${verification.syntaxError}`);
+    }
+    verification.results.forEach((r) => {
+      if (r.passed) {
+        log(`  ✅ Test ${r.index + 1} passed`);
+      } else {
+        log(`  ❌ Test ${r.index + 1} failed: ${r.error || `expected ${r.expected}, got ${(r.actual || "").trim()}`}`);
+      }
+    });
+    return verification;
+  };
+
+  const summarize = (verification) => verification.syntaxError
+    ? "syntax error"
+    : `${verification.results.filter((r) => r.passed).length}/${verification.results.length} tests passed`;
+
+  let verification = await verify(solution.code);
+  const attempts = [`Initial: ${summarize(verification)}`];
+
+  for (let attempt = 1; !verification.passed && attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+    log(`🔧 Repair attempt ${attempt}/${MAX_REPAIR_ATTEMPTS}...`);
+    const repaired = parseSolutionResponse(await chat.sendMessage(`Your solution failed verification.
+
+${describeFailure(verification)}
+
+Fix the solution. Reply in the same JSON format with the complete corrected code, and update the explanation, complexity and tests to match.`, onText));
+
+    log(`📝 Changes:\n${formatDiff(solution.code, repaired.code) || "  (no changes)"}`);
+    // Parts missing from a reply that fell back to plain code are kept
+    solution = {
+      code: repaired.code,
+      explanation: repaired.explanation || solution.explanation,
+      complexity: repaired.complexity || solution.complexity,
+      tests: repaired.tests || solution.tests
+    };
+    verification = await verify(solution.code);
+    attempts.push(`Repair ${attempt}: ${summarize(verification)}`);
+  }
+
+  const testReport = { results: verification.results, attempts };
+
+  if (!verification.passed) {
+    log(`🛑 Verification failed after ${MAX_REPAIR_ATTEMPTS} repair attempts.`);
+    attempts.forEach((line) => log(`  • ${line}`));
+    return { solution: null, testReport };
+  }
+  log(attempts.length > 1
+    ? `✅ Verification passed after ${attempts.length - 1} repair attempt${attempts.length === 2 ? "" : "s"}`
+    : "✅ Verification passed");
+  return { solution, testReport };
+}
+
+// One model conversation: generates code in `language` and, for problems,
+// verifies it. Custom builds resolve to `{ files, customRepoName }`; other
+// runs ask for a structured reply (see SOLUTION_SCHEMA) and resolve to
+// `{ code, explanation, complexity, tests, testReport }`, or null if
+// verification never passed. `solutionFile` is where the code will be
+// committed, so the generated tests can import it.
+async function generateCode({ mode, language, problemData: problem, userPrompt, solutionFile, promptTemplates, provider, settings, verifyTests, createRunner, log, onText, onUsage, budgets }) {
+  // Starter code for the language being generated, when the source has one per language
+  const problemData = problem?.starterCodes ? { ...problem, starterCode: problem.starterCodes[language] || "" } : problem;
+  const isCustom = mode === MODES.CUSTOM;
+
+  // Generate code with the selected LLM provider
+  log(`🤖 Generating code solution with ${PROVIDERS[provider].label} (${settings.model})...`);
+  const chat = createChat(
+    provider,
+    settings,
+    getSystemPrompt(mode, language, problemData, { solutionFile, templates: promptTemplates }),
+    {
+      onUsage,
+      // Repairs are requests too, so a run stops as soon as a budget is used up
+      beforeSend: () => checkBudgets(budgets),
+      ...(!isCustom && { responseSchema: SOLUTION_SCHEMA })
+    }
+  );
+
+  // The language tells the UI how to highlight the draft, which only shows
+  // the code of a structured reply
+  const stream = (text) => onText(isCustom ? text : partialCode(text), language);
+
+  stream("");
+  const response = await chat.sendMessage(isCustom ? userPrompt : "Generate the solution", stream);
+
+  if (isCustom) {
+    const parsed = parseCustomBuildResponse(response, `script_${Date.now()}${LANGUAGES[language].extension}`);
+    if (parsed.repoName) {
+      log(`📦 Suggested repository: ${parsed.repoName}`);
+    }
+    log(`✅ Project generated (${parsed.files.length} file${parsed.files.length === 1 ? "" : "s"})`);
+    return { files: parsed.files, customRepoName: parsed.repoName };
+  }
+
+  let solution = parseSolutionResponse(response);
+  log(`✅ Code generated (${solution.code.split("\n").length} lines)`);
+  if (!solution.explanation && !solution.tests) {
+    log("⚠️ The reply wasn't in the requested JSON format, using it as plain code");
+  }
+
+  // Verify against sample tests before anything is committed
+  let testReport = null;
+  if (problemData && verifyTests) {
+    ({ solution, testReport } = await verifyAndRepair({ chat, mode, language, problemData, solution, createRunner, log, onText: stream }));
+    if (solution === null) return null;
+  }
+
+  return { ...solution, testReport };
+}
+
+// The explanation and unit tests of a solution at `path`, as files next to
+// it (solution.py.md and solution_test.py for solution.py)
+function artifactFiles(path, language, generated, header) {
+  const { extension, testSuffix } = LANGUAGES[language];
+  const explanation = explanationMarkdown(generated);
+  return [
+    explanation && { path: `${path}.md`, content: `${explanation}\n` },
+    generated.tests && { path: `${path.slice(0, -extension.length)}${testSuffix}${extension}`, content: header(generated.tests) }
+  ].filter(Boolean);
+}
+
+// Names the problem at the top of a solution, in the language's comment syntax
+function withHeader(code, problemData, platform, language) {
+  const { comment } = LANGUAGES[language];
+  const header = `${comment} ${platform} ${problemData.id}. ${problemData.title}\n${comment} ${problemData.url}\n`;
+  return code.startsWith(header) ? code : `${header}\n${code}`;
+}
+
+/**
+ * Generates (and, when `verifyTests` is set, verifies) code for one run.
+ *
+ * Problems get a solution per entry of `languages`, all in the problem's
+ * folder next to its README; a language that fails verification is left
+ * out. Random and custom runs use the first language only.
+ *
+ * `promptTemplates` holds saved prompt templates by mode (see
+ * core/templates.js). `onText(text, language)` receives the streamed
+ * response so far; `onUsage` is told about every model call (see
+ * createChat) and `budgets` (see DEFAULT_BUDGETS in usage.js) are checked
+ * before each one, failing the run once one is used up. `createRunner` overrides the sandbox used for verification
+ * (see verifySolution). `existing` is findExistingSolutions' result: with
+ * `onExisting` set to "version" the new solution becomes the next
+ * `solution-vN` file, otherwise it replaces the existing one.
+ *
+ * Each solution's explanation and unit tests, when the model gave them,
+ * are separate files next to it (see artifactFiles).
+ *
+ * Resolves to `{ mode, languages, problemData, userPrompt, customRepoName,
+ * folder, files, solutions }` ready for commitSolution, or null if nothing
+ * passed verification. `solutions` has `{ language, path, testReport,
+ * existing, version, explanation, complexity, artifacts }` per committed
+ * solution, `artifacts` being the paths of its extra files; `testReport` is
+ * null when verification was off.
+ */
+export async function generateSolution({
+  mode,
+  languages,
+  problemData,
+  userPrompt,
+  promptTemplates = {},
+  provider,
+  settings,
+  verifyTests = true,
+  createRunner,
+  existing = {},
+  onExisting = ON_EXISTING.UPDATE,
+  log,
+  onText = () => {},
+  onUsage,
+  budgets = {}
+}) {
+  const options = { mode, problemData, userPrompt, promptTemplates, provider, settings, verifyTests, createRunner, log, onText, onUsage, budgets };
+  const source = getSource(mode);
+
+  if (!source || !problemData) {
+    const [language] = languages;
+    const path = `script_${Date.now()}${LANGUAGES[language].extension}`;
+    const generated = await generateCode({ ...options, language, solutionFile: path });
+    const files = generated.files || [{ path, content: generated.code }, ...artifactFiles(path, language, generated, (code) => code)];
+    return { mode, languages: [language], problemData, userPrompt, customRepoName: generated.customRepoName, folder: null, files, solutions: [] };
+  }
+
+  // Solutions plus the problem's README, in the problem's own folder
+  const folder = source.folder(problemData);
+  const solutions = [];
+  const files = [];
+
+  for (const [i, language] of languages.entries()) {
+    if (languages.length > 1) {
+      log(`🌐 ${LANGUAGES[language].name} (${i + 1}/${languages.length})`);
+    }
+
+    // Decided up front so the generated tests can import the solution by name
+    const { extension } = LANGUAGES[language];
+    const previous = existing[language] || null;
+    let path = previous ? previous.path : `${folder}/solution${extension}`;
+    let version = null;
+    if (previous && onExisting === ON_EXISTING.VERSION) {
+      version = previous.latestVersion + 1;
+      path = `${folder}/solution-v${version}${extension}`;
+      log(`🗂️ Keeping the existing solution, this one becomes version ${version}`);
+    } else if (previous) {
+      log("✏️ The existing solution will be updated in place");
+    }
+
+    const generated = await generateCode({ ...options, language, solutionFile: path.split("/").pop() });
+    if (!generated) {
+      log(`⏭️ Leaving out the ${LANGUAGES[language].name} solution`);
+      continue;
+    }
+
+    const header = (code) => withHeader(code, problemData, source.name, language);
+    const artifacts = artifactFiles(path, language, generated, header);
+    const { explanation, complexity, testReport } = generated;
+    solutions.push({ language, path, testReport, existing: previous, version, explanation, complexity, artifacts: artifacts.map((file) => file.path) });
+    files.push({ path, content: header(generated.code) }, ...artifacts);
+  }
+
+  if (solutions.length === 0) return null;
+
+  files.push({ path: `${folder}/README.md`, content: buildProblemReadme(problemData, source.name) });
+  return { mode, languages: solutions.map((s) => s.language), problemData, userPrompt, customRepoName: null, folder, files, solutions };
+}
+
+// Pushes a generated solution, creating the target repository if needed as
+// described by `repoSettings` (see DEFAULT_REPO_SETTINGS in hosts/index.js).
+// With `pullRequest` set the files go on a new branch and a pull request is
+// opened against the default branch, described with the help of `llm`
+// (`{ provider, settings, onUsage, budgets }`). Returns `{ owner, repo, url, sha, paths }`:
+// a URL to view the result, the new commit (null when nothing changed) and
+// the paths it wrote.
+export async function commitSolution(host, {
+  mode,
+  problemData,
+  userPrompt,
+  folder,
+  files,
+  solutions = [],
+  customRepoName,
+  repoOverride,
+  repoSettings = {},
+  pullRequest = false,
+  llm,
+  log
+}) {
+  // Determine target repository
+  const targetRepo = determineRepository(mode, { customRepoName, repoOverride });
+  log(`🎯 Target repository: ${targetRepo}`);
+
+  log(`🔗 Connecting to ${host.name}...`);
+  const owner = await resolveOwner(host, repoSettings.owner);
+
+  // Check/create repository
+  const created = await host.ensureRepository({
+    owner,
+    repo: targetRepo,
+    description: `Auto-generated via GitExpress - Mode: ${mode}`,
+    settings: repoSettings
+  });
+  log(`📁 Repository '${owner}/${targetRepo}' ${created ? "created" : "found"}`);
+
+  const source = getSource(mode);
+  let changes = files;
+  let message;
+  let index = null;
+
+  if (source && folder) {
+    // Solutions updated in place with identical content are left out
+    const contentOf = (path) => files.find((file) => file.path === path).content;
+    const changed = [];
+    for (const solution of solutions) {
+      const { existing, version, path } = solution;
+      if (existing && !version && existing.path === path && existing.sha === await gitBlobSha(contentOf(path))) {
+        log(`✅ The ${solution.language} solution is unchanged`);
+      } else {
+        changed.push(solution);
+      }
+    }
+
+    if (changed.length === 0) {
+      log("✅ Nothing to commit");
+      const url = await host.treeUrl({ owner, repo: targetRepo, path: folder });
+      log(`🔗 View at: ${url}`);
+      return { owner, repo: targetRepo, url, sha: null, paths: [] };
+    }
+
+    // Solutions, problem README and the regenerated index in one commit
+    index = parseIndex(await host.readFile({ owner, repo: targetRepo, path: INDEX_JSON }));
+    changed.forEach(({ language, path }) => {
+      index = updateIndex(index, { folder, problem: problemData, platform: source.name, language, solutionPath: path });
+    });
+    // An unchanged solution's explanation and tests are left as they are too
+    const unchanged = solutions.filter((solution) => !changed.includes(solution));
+    changes = [
+      ...changed.map(({ path }) => ({ path, content: contentOf(path) })),
+      ...files.filter((file) => !solutions.some((s) => s.path === file.path) && !unchanged.some((s) => s.artifacts?.includes(file.path))),
+      { path: INDEX_JSON, content: `${JSON.stringify(index, null, 2)}\n` },
+      { path: INDEX_MARKDOWN, content: buildIndexMarkdown(index) }
+    ];
+
+    const verb = changed.every((s) => s.existing && !s.version) ? "Update" : "Add";
+    const languages = changed.map((s) => (s.version ? `${s.language} v${s.version}` : s.language)).join(", ");
+    message = `${verb} ${source.name} ${problemData.id}: ${problemData.title} (${languages})`;
+  } else if (mode === MODES.CUSTOM) {
+    // Commit the whole project atomically
+    files.forEach((file) => log(`📄 ${file.path} (${file.content.split("\n").length} lines)`));
+    message = `Add ${customRepoName || "project"} - ${mode}`;
+  } else {
+    message = `Add ${files[0].path} - ${mode}`;
+  }
+
+  let branch = null;
+  let base = null;
+  if (pullRequest) {
+    const name = `gitexpress/${kebab(folder || customRepoName || files[0].path)}-${Date.now().toString(36)}`;
+    base = await host.createBranch({ owner, repo: targetRepo, branch: name });
+    if (base) {
+      branch = name;
+      log(`🌿 Created branch ${branch}`);
+    } else {
+      log("⚠️ The repository has no commits to branch from, committing to the default branch instead");
+    }
+  }
+
+  const { sha } = await host.commitFiles({ owner, repo: targetRepo, files: changes, message, branch });
+
+  if (source && folder) {
+    log(`🎉 Successfully committed: ${message} (${sha.slice(0, 7)})`);
+    log(`📇 Index updated (${Object.keys(index.problems).length} problems)`);
+  } else if (mode === MODES.CUSTOM) {
+    log(`🎉 Successfully committed ${files.length} file${files.length === 1 ? "" : "s"} (${sha.slice(0, 7)})`);
+  } else {
+    log(`🎉 Successfully committed: ${files[0].path} (${sha.slice(0, 7)})`);
+  }
+
+  if (branch) {
+    const body = await buildPullRequestBody({ llm, mode, problemData, userPrompt, files, solutions, log });
+    const pr = await host.createPullRequest({ owner, repo: targetRepo, head: branch, base, title: message, body });
+    log(`🔀 Pull request #${pr.number} opened: ${pr.url}`);
+    return { owner, repo: targetRepo, url: pr.url, sha, paths: changes.map((file) => file.path) };
+  }
+
+  const url = host.repoUrl({ owner, repo: targetRepo });
+  log(`🔗 View at: ${url}`);
+  return { owner, repo: targetRepo, url, sha, paths: changes.map((file) => file.path) };
+}
@@ -0,0 +1,154 @@
+import { LANGUAGES } from "../languages.js";
+import { MODES } from "../modes.js";
+import { promptVariables, renderTemplate, templateFor } from "./templates.js";
+
+// The code inside Markdown fences: the longest fenced block when the reply
+// has any (models sometimes add a sentence before or after), else the text as is
+export function stripCodeFences(text) {
+  const blocks = [...text.matchAll(/^(`{3,})[\w+#.-]*[^\S\n]*\r?\n([\s\S]*?)\r?\n\1[^\S\n]*$/gm)].map((match) => match[2]);
+  return blocks.length > 0 ? blocks.reduce((a, b) => (b.length > a.length ? b : a)) : text;
+}
+
+// What solutions are asked to reply with. Gemini is held to it through its
+// response schema; other providers only have the instructions, so replies
+// are parsed leniently (see parseSolutionResponse).
+export const SOLUTION_SCHEMA = {
+  type: "object",
+  properties: {
+    code: { type: "string", description: "The complete solution, without Markdown fences" },
+    explanation: { type: "string", description: "The approach in 2-5 sentences of Markdown" },
+    complexity: {
+      type: "object",
+      properties: {
+        time: { type: "string", description: "Time complexity in big-O notation" },
+        space: { type: "string", description: "Space complexity in big-O notation" }
+      },
+      required: ["time", "space"]
+    },
+    tests: { type: "string", description: "A complete unit test file for the solution" }
+  },
+  required: ["code", "explanation", "complexity", "tests"]
+};
+
+function solutionFormat(lang, solutionFile) {
+  return `Respond with a single JSON object and nothing else:
+{
+  "code": "<the complete ${lang.name} solution, without markdown fences>",
+  "explanation": "<the approach in 2-5 sentences of Markdown>",
+  "complexity": { "time": "O(...)", "space": "O(...)" },
+  "tests": "<a complete ${lang.name} unit test file using ${lang.testFramework} that imports the solution from ${solutionFile || "the solution file"}>"
+}`;
+}
+
+function parseJsonObject(text) {
+  for (const candidate of [stripCodeFences(text.trim()), text.slice(text.indexOf("{"), text.lastIndexOf("}") + 1)]) {
+    try {
+      const value = JSON.parse(candidate);
+      if (value && typeof value === "object") return value;
+    } catch {
+      // Try the next candidate
+    }
+  }
+  return null;
+}
+
+const nonEmpty = (value) => (typeof value === "string" && value.trim() ? value.trim() : null);
+
+/**
+ * A solution reply as `{ code, explanation, complexity, tests }`. Replies
+ * that aren't the requested JSON are taken as plain code (fences stripped),
+ * with the other parts null. `complexity` is `{ time, space }`.
+ */
+export function parseSolutionResponse(response) {
+  const json = parseJsonObject(response);
+  if (!json || typeof json.code !== "string") {
+    return { code: stripCodeFences(response), explanation: null, complexity: null, tests: null };
+  }
+
+  const time = nonEmpty(json.complexity?.time);
+  const space = nonEmpty(json.complexity?.space);
+  const tests = nonEmpty(json.tests);
+  return {
+    code: stripCodeFences(json.code),
+    explanation: nonEmpty(json.explanation),
+    complexity: time || space ? { time, space } : null,
+    tests: tests && `${stripCodeFences(tests).trimEnd()}\n`
+  };
+}
+
+const ESCAPES = { n: "\n", r: "\r", t: "\t", b: "\b", f: "\f" };
+
+// The code so far of a JSON reply still streaming in, for the live preview;
+// replies that aren't JSON are shown as they are
+export function partialCode(response) {
+  const start = response.match(/"code"\s*:\s*"/);
+  if (!start) return response.trimStart().startsWith("{") ? "" : response;
+
+  let code = "";
+  for (let i = start.index + start[0].length; i < response.length && response[i] !== '"'; i++) {
+    if (response[i] !== "\\") {
+      code += response[i];
+    } else if (response[i + 1] === "u") {
+      if (i + 6 > response.length) break;
+      code += String.fromCharCode(parseInt(response.slice(i + 2, i + 6), 16));
+      i += 5;
+    } else if (i + 1 < response.length) {
+      code += ESCAPES[response[i + 1]] || response[i + 1];
+      i++;
+    }
+  }
+  return code;
+}
+
+const CUSTOM_FORMAT = `For Custom Build requests, you MUST respond in this EXACT format:
+
+REPO_NAME: <kebab-case-repository-name>
+---FILE: <relative/path/to/file>---
+<full contents of the file>
+---END_FILE---
+---FILE: <relative/path/to/another/file>---
+<full contents of the file>
+---END_FILE---
+
+Rules:
+1. REPO_NAME must be kebab-case (e.g., react-weather-app, todo-list-api)
+2. Paths are relative to the repository root, use forward slashes and never contain ".."
+3. NO markdown formatting, NO explanations outside the format above`;
+
+// The system prompt for a run: the mode's template (from `templates`, keyed
+// by mode, or the default) followed by the reply format. Problems and random
+// runs are told to reply in the SOLUTION_SCHEMA format; `solutionFile` is
+// where the solution will be committed, for the generated tests to import.
+export function getSystemPrompt(mode, language, problemData = null, { solutionFile, templates } = {}) {
+  const lang = LANGUAGES[language];
+  const prompt = renderTemplate(templateFor(mode, templates), promptVariables(mode, lang, problemData));
+  const format = mode === MODES.CUSTOM ? CUSTOM_FORMAT : solutionFormat(lang, solutionFile);
+  return `${prompt}\n\n${format}`;
+}
+
+export function parseCustomBuildResponse(response, fallbackPath) {
+  const repoMatch = response.match(/REPO_NAME:\s*([a-z0-9-]+)/i);
+  const repoName = repoMatch ? repoMatch[1].trim() : null;
+
+  const files = [...response.matchAll(/---FILE:\s*(.+?)\s*---\r?\n([\s\S]*?)\r?\n?---END_FILE---/g)]
+    .map(([, path, content]) => ({ path: path.trim(), content: `${content.trimEnd()}\n` }));
+
+  if (files.length > 0) {
+    return { repoName, files };
+  }
+
+  // Older single-file format
+  const codeMatch = response.match(/---CODE_START---\s*([\s\S]*?)\s*---CODE_END---/);
+  if (codeMatch) {
+    return {
+      repoName,
+      files: [{ path: fallbackPath, content: codeMatch[1].trim() }]
+    };
+  }
+
+  // Fallback if format not followed
+  return {
+    repoName: null,
+    files: [{ path: fallbackPath, content: response.trim() }]
+  };
+}
@@ -0,0 +1,173 @@
+// Editable system prompts. Every mode has a default template (sources bring
+// their own `promptTemplate`); saved templates override it per mode. The
+// reply format the parsers depend on is not part of a template, prompts.js
+// always appends it.
+//
+// Templates use {{variable}} placeholders, plus {{#variable}}...{{/variable}}
+// for text that only appears when the variable is non-empty and
+// {{^variable}}...{{/variable}} for text that only appears when it's empty.
+
+import { MODES } from "../modes.js";
+import { getSource } from "../sources/index.js";
+
+export const PROMPT_TEMPLATES_VERSION = 1;
+
+// Every variable a template can use, with what it holds
+export const TEMPLATE_VARIABLES = {
+  language: "Language name, e.g. Python",
+  style: "The language's style-guide hints",
+  ioTemplate: "Fast standard input/output boilerplate for the language",
+  testFramework: "Unit test framework for the language",
+  platform: "Problem source, e.g. LeetCode",
+  id: "Problem id",
+  title: "Problem title",
+  difficulty: "Problem difficulty",
+  tags: "Comma-separated topic tags",
+  url: "Problem URL",
+  description: "Problem statement (Markdown)",
+  inputSpec: "Input format",
+  outputSpec: "Output format",
+  constraints: "Constraints",
+  examples: "Numbered sample inputs and outputs",
+  testCases: "LeetCode's example test case inputs",
+  note: "Notes below the statement",
+  timeLimit: "Time limit",
+  memoryLimit: "Memory limit",
+  starterCode: "Signature to keep in the selected language",
+  hints: "Numbered hints"
+};
+
+// Stands in for a fetched problem when previewing a template
+export const EXAMPLE_PROBLEM = {
+  id: "1",
+  title: "Two Sum",
+  difficulty: "Easy",
+  tags: ["Array", "Hash Table"],
+  url: "https://leetcode.com/problems/two-sum/",
+  description: "Given an array of integers `nums` and an integer `target`, return the indices of the two numbers that add up to `target`.",
+  inputSpec: "The first line contains n and target, the second line the n integers.",
+  outputSpec: "The two indices, separated by a space.",
+  constraints: "- 2 <= n <= 10^4\n- -10^9 <= nums_i, target <= 10^9",
+  samples: [{ input: "4 9\n2 7 11 15\n", expected: "0 1" }],
+  testCases: "[2,7,11,15]\n9",
+  note: "",
+  timeLimit: "1 second",
+  memoryLimit: "256 megabytes",
+  starterCode: "",
+  hints: ["Try storing each number's index as you go."]
+};
+
+const RANDOM_TEMPLATE = `You are a senior software engineer.
+Generate professional-quality {{language}} code.
+- Include comprehensive comments and docstrings
+- Use type hints/annotations where applicable
+- Follow language-specific best practices and style guides
+- Style: {{style}}
+- Make code production-ready
+- NO conversational text`;
+
+const CUSTOM_TEMPLATE = `You are a senior software engineer.
+
+Generate a complete, professional {{language}} project split across multiple files:
+- Use a conventional layout: sources under src/, tests under tests/, a README.md and the build/dependency file for the ecosystem
+- Include comprehensive comments and docstrings
+- Follow best practices and style guides. {{style}}
+- Make code production-ready`;
+
+export function defaultTemplate(mode) {
+  if (mode === MODES.CUSTOM) return CUSTOM_TEMPLATE;
+  return getSource(mode)?.promptTemplate || RANDOM_TEMPLATE;
+}
+
+// The saved template for `mode`, or its default
+export function templateFor(mode, templates = {}) {
+  return templates[mode]?.trim() ? templates[mode] : defaultTemplate(mode);
+}
+
+// LeetCode samples hold one argument per line as an array, stdin samples a string
+const sampleInput = (sample) => (Array.isArray(sample.input) ? sample.input.join("\n") : String(sample.input));
+
+/**
+ * The values of TEMPLATE_VARIABLES for a run; problem variables are empty
+ * without a problem. `language` is a languages.js entry.
+ */
+export function promptVariables(mode, language, problemData = null) {
+  const problem = problemData || {};
+  return {
+    language: language.name,
+    style: language.style,
+    ioTemplate: language.ioTemplate,
+    testFramework: language.testFramework,
+    platform: getSource(mode)?.name || "",
+    id: problem.id || "",
+    title: problem.title || "",
+    difficulty: problem.difficulty || "",
+    tags: (problem.tags || []).join(", "),
+    url: problem.url || "",
+    description: problem.description || "",
+    inputSpec: problem.inputSpec || "",
+    outputSpec: problem.outputSpec || "",
+    constraints: problem.constraints || "",
+    examples: (problem.samples || [])
+      .map((sample, i) => `Example ${i + 1}:\nInput:\n${sampleInput(sample).trimEnd()}\nOutput:\n${sample.expected}`)
+      .join("\n\n"),
+    testCases: problem.testCases || "",
+    note: problem.note || "",
+    timeLimit: problem.timeLimit || "",
+    memoryLimit: problem.memoryLimit || "",
+    starterCode: problem.starterCode || "",
+    hints: (problem.hints || []).map((hint, i) => `${i + 1}. ${hint}`).join("\n")
+  };
+}
+
+// A section with its body, or a single variable
+const PLACEHOLDER = /\{\{([#^])(\w+)\}\}([\s\S]*?)\{\{\/\2\}\}|\{\{(\w+)\}\}/g;
+
+// Fills in `template` in one pass, so values are never read as placeholders.
+// Unknown variables are left as they are so they stand out, and blank lines
+// left by empty sections are collapsed.
+export function renderTemplate(template, variables) {
+  const render = (text) => text.replace(PLACEHOLDER, (match, kind, section, body, name) => {
+    if (section) return Boolean(variables[section]) === (kind === "#") ? render(body) : "";
+    return name in variables ? String(variables[name]) : match;
+  });
+  return render(template).replace(/\n{3,}/g, "\n\n").trim();
+}
+
+// Placeholders in `template` that aren't TEMPLATE_VARIABLES, for warnings
+export function unknownVariables(template) {
+  const names = [...template.matchAll(/\{\{[#^/]?(\w+)\}\}/g)].map((match) => match[1]);
+  return [...new Set(names)].filter((name) => !(name in TEMPLATE_VARIABLES));
+}
+
+// Saved templates as a JSON file, keyed by mode
+export function exportTemplates(templates) {
+  return `${JSON.stringify({ version: PROMPT_TEMPLATES_VERSION, templates }, null, 2)}\n`;
+}
+
+// The templates in an exported file; throws if it isn't one or names an
+// unknown mode
+export function importTemplates(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Not a JSON file: ${error.message}`);
+  }
+  if (data?.version !== PROMPT_TEMPLATES_VERSION || !data.templates || typeof data.templates !== "object") {
+    throw new Error("Not a GitExpress prompt templates file");
+  }
+
+  const modes = Object.values(MODES);
+  const templates = {};
+  for (const [mode, template] of Object.entries(data.templates)) {
+    if (!modes.includes(mode)) {
+      throw new Error(`Unknown mode '${mode}' (expected one of: ${modes.join(", ")})`);
+    }
+    if (typeof template !== "string") {
+      throw new Error(`The ${mode} template must be text`);
+    }
+    if (template.trim()) templates[mode] = template;
+  }
+  return templates;
+}
@@ -0,0 +1,54 @@
+// Line-based diff (LCS) for showing what changed between two code versions
+
+export function diffLines(before, after) {
+  const a = before.split("\n");
+  const b = after.split("\n");
+
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push({ type: " ", text: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      lines.push({ type: "-", text: a[i++] });
+    } else {
+      lines.push({ type: "+", text: b[j++] });
+    }
+  }
+  while (i < a.length) lines.push({ type: "-", text: a[i++] });
+  while (j < b.length) lines.push({ type: "+", text: b[j++] });
+
+  return lines;
+}
+
+// Unified-style text with `context` unchanged lines around each change
+export function formatDiff(before, after, context = 2) {
+  const lines = diffLines(before, after);
+  const keep = lines.map((line, index) =>
+    lines.slice(Math.max(0, index - context), index + context + 1).some((l) => l.type !== " ")
+  );
+
+  const output = [];
+  lines.forEach((line, index) => {
+    if (keep[index]) {
+      output.push(`${line.type} ${line.text}`);
+    } else if (keep[index - 1]) {
+      output.push("  ...");
+    }
+  });
+
+  return output.join("\n");
+}
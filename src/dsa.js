@@ -0,0 +1,92 @@
+// Layout of the DSA repository: one folder per problem holding the
+// solution(s) and a README, plus a top-level INDEX.md regenerated from
+// `index.json` on every commit. The repository's own README.md is left alone.
+
+export const INDEX_JSON = "index.json";
+export const INDEX_MARKDOWN = "INDEX.md";
+
+export function kebab(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "");
+}
+
+function escapeCell(text) {
+  return String(text).replace(/\|/g, "\\|").replace(/\n/g, " ");
+}
+
+function codeBlock(text) {
+  return `\`\`\`\n${text.trimEnd()}\n\`\`\``;
+}
+
+export function buildProblemReadme(problem, platform) {
+  const sections = [
+    `# ${problem.id}. ${problem.title}`,
+    `| Difficulty | Tags | Link |
+|---|---|---|
+| ${escapeCell(problem.difficulty)} | ${escapeCell(problem.tags.join(", ") || "-")} | [${platform}](${problem.url}) |`,
+    problem.timeLimit && `**Time limit:** ${problem.timeLimit} · **Memory limit:** ${problem.memoryLimit}`,
+    problem.description && `## Problem\n\n${problem.description}`,
+    problem.inputSpec && `## Input\n\n${problem.inputSpec}`,
+    problem.outputSpec && `## Output\n\n${problem.outputSpec}`,
+    problem.constraints && `## Constraints\n\n${problem.constraints}`,
+    // LeetCode statements already include their examples
+    problem.testKind === "stdio" && problem.samples.length > 0 && `## Examples\n\n${problem.samples
+      .map((sample, i) => `### Example ${i + 1}\n\nInput:\n\n${codeBlock(sample.input)}\n\nOutput:\n\n${codeBlock(sample.expected)}`)
+      .join("\n\n")}`,
+    problem.note && `## Note\n\n${problem.note}`
+  ];
+
+  return `${sections.filter(Boolean).join("\n\n")}\n`;
+}
+
+export function parseIndex(text) {
+  if (!text) return { problems: {} };
+  try {
+    const index = JSON.parse(text);
+    return { problems: {}, ...index };
+  } catch {
+    return { problems: {} };
+  }
+}
+
+// Records `solutionPath` for the problem in `folder`, keeping any other languages
+export function updateIndex(index, { folder, problem, platform, language, solutionPath }) {
+  const existing = index.problems[folder] || { solutions: {} };
+
+  return {
+    ...index,
+    problems: {
+      ...index.problems,
+      [folder]: {
+        platform,
+        id: problem.id,
+        title: problem.title,
+        difficulty: problem.difficulty,
+        tags: problem.tags,
+        url: problem.url,
+        solutions: { ...existing.solutions, [language]: solutionPath },
+        updated: new Date().toISOString().slice(0, 10)
+      }
+    }
+  };
+}
+
+export function buildIndexMarkdown(index) {
+  const entries = Object.entries(index.problems)
+    .sort(([a], [b]) => a.localeCompare(b, undefined, { numeric: true }));
+
+  const rows = entries.map(([folder, entry]) => {
+    const solutions = Object.values(entry.solutions)
+      .map((path) => `[${path.split(".").pop()}](${encodeURI(path)})`)
+      .join(" ");
+    return `| ${escapeCell(entry.platform)} | [${escapeCell(`${entry.id}. ${entry.title}`)}](${encodeURI(folder)}) | ${escapeCell(entry.difficulty)} | ${escapeCell(entry.tags.join(", ") || "-")} | ${solutions} | ${entry.updated} |`;
+  });
+
+  return `# DSA Solutions
+
+${entries.length} problem${entries.length === 1 ? "" : "s"} solved. This index is regenerated by GitExpress on every commit.
+
+| Platform | Problem | Difficulty | Tags | Solutions | Updated |
+|---|---|---|---|---|---|
+${rows.join("\n")}
+`;
+}
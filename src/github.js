@@ -0,0 +1,171 @@
+// GitHub helpers built on the Git Data API
+
+// Repository-relative path with separators normalized; rejects escapes and empty segments
+export function normalizePath(path) {
+  const clean = path.trim().replace(/\\/g, "/").replace(/^(\.\/|\/)+/, "");
+  if (!clean || clean.split("/").some((part) => part === ".." || part === "")) {
+    throw new Error(`Invalid file path: ${path}`);
+  }
+  return clean;
+}
+
+export function encodeBase64(text) {
+  return btoa(unescape(encodeURIComponent(text)));
+}
+
+export function decodeBase64(base64) {
+  return decodeURIComponent(escape(atob(base64.replace(/\n/g, ""))));
+}
+
+// Text of a file on the default branch, or null if it doesn't exist
+export async function readFile(octokit, { owner, repo, path }) {
+  try {
+    const { data } = await octokit.rest.repos.getContent({ owner, repo, path });
+    return decodeBase64(data.content);
+  } catch (error) {
+    if (error.status === 404) return null;
+    throw error;
+  }
+}
+
+// Entries (`{ name, path, sha, type }`) of a directory on the default
+// branch; empty when the directory or repository doesn't exist
+export async function listDirectory(octokit, { owner, repo, path }) {
+  try {
+    const { data } = await octokit.rest.repos.getContent({ owner, repo, path });
+    return Array.isArray(data) ? data : [];
+  } catch (error) {
+    if (error.status === 404) return [];
+    throw error;
+  }
+}
+
+// The SHA git assigns to a blob holding `text`, for comparing content
+// against a file's `sha` without downloading it
+export async function gitBlobSha(text) {
+  const content = new TextEncoder().encode(text);
+  const header = new TextEncoder().encode(`blob ${content.length}\0`);
+  const data = new Uint8Array(header.length + content.length);
+  data.set(header);
+  data.set(content, header.length);
+  const digest = await crypto.subtle.digest("SHA-1", data);
+  return [...new Uint8Array(digest)].map((byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+
+// Paths of the files under the tree `sha`, each prefixed with `prefix`.
+// GitHub truncates recursive listings of very large trees, so a truncated
+// tree is walked one level at a time instead.
+async function treePaths(octokit, { owner, repo, sha, prefix = "" }) {
+  const { data: tree } = await octokit.rest.git.getTree({ owner, repo, tree_sha: sha, recursive: "true" });
+  if (!tree.truncated) {
+    return tree.tree.filter((entry) => entry.type === "blob").map((entry) => `${prefix}${entry.path}`);
+  }
+
+  const { data: level } = await octokit.rest.git.getTree({ owner, repo, tree_sha: sha });
+  if (level.truncated) {
+    throw new Error(`${prefix || "The repository root"} has too many entries to list`);
+  }
+  const paths = [];
+  for (const entry of level.tree) {
+    if (entry.type === "blob") {
+      paths.push(`${prefix}${entry.path}`);
+    } else if (entry.type === "tree") {
+      paths.push(...await treePaths(octokit, { owner, repo, sha: entry.sha, prefix: `${prefix}${entry.path}/` }));
+    }
+  }
+  return paths;
+}
+
+// Every file path on the default branch; empty when the repository is
+// missing or has no commits yet
+export async function listRepoPaths(octokit, { owner, repo }) {
+  try {
+    const { data: repository } = await octokit.rest.repos.get({ owner, repo });
+    return await treePaths(octokit, { owner, repo, sha: repository.default_branch });
+  } catch (error) {
+    if (error.status === 404 || error.status === 409) return [];
+    throw error;
+  }
+}
+
+// Creates `branch` at the tip of the default branch. Returns the default
+// branch's name, or null when the repository has no commits to branch from.
+export async function createBranch(octokit, { owner, repo, branch }) {
+  const { data: repository } = await octokit.rest.repos.get({ owner, repo });
+
+  let baseSha;
+  try {
+    const { data: ref } = await octokit.rest.git.getRef({ owner, repo, ref: `heads/${repository.default_branch}` });
+    baseSha = ref.object.sha;
+  } catch (error) {
+    if (error.status === 409 || error.status === 404) return null;
+    throw error;
+  }
+
+  await octokit.rest.git.createRef({ owner, repo, ref: `refs/heads/${branch}`, sha: baseSha });
+  return repository.default_branch;
+}
+
+// Writes every file in a single commit (tree + commit + ref update) on
+// `branch`, or the repository's default branch when omitted. Returns the new
+// commit SHA and branch name.
+export async function commitFiles(octokit, { owner, repo, files, message, branch: targetBranch }) {
+  if (!files.length) {
+    throw new Error("Nothing to commit");
+  }
+
+  const entries = files.map((file) => ({ ...file, path: normalizePath(file.path) }));
+  const { data: repository } = await octokit.rest.repos.get({ owner, repo });
+  const branch = targetBranch || repository.default_branch;
+
+  let parentSha = null;
+  try {
+    const { data: ref } = await octokit.rest.git.getRef({ owner, repo, ref: `heads/${branch}` });
+    parentSha = ref.object.sha;
+  } catch (error) {
+    // Empty repositories have no ref (409) and reject Git Data writes, so the
+    // first file goes in through the contents API to create the branch. The
+    // commit below replaces that seed with a root commit, leaving a single
+    // commit that holds every file.
+    if ((error.status !== 409 && error.status !== 404) || branch !== repository.default_branch) throw error;
+
+    await octokit.rest.repos.createOrUpdateFileContents({
+      owner,
+      repo,
+      path: entries[0].path,
+      message,
+      content: encodeBase64(entries[0].content)
+    });
+  }
+
+  let baseTree = null;
+  if (parentSha) {
+    const { data: parent } = await octokit.rest.git.getCommit({ owner, repo, commit_sha: parentSha });
+    baseTree = parent.tree.sha;
+  }
+
+  const { data: tree } = await octokit.rest.git.createTree({
+    owner,
+    repo,
+    ...(baseTree && { base_tree: baseTree }),
+    tree: entries.map((file) => ({
+      path: file.path,
+      mode: "100644",
+      type: "blob",
+      content: file.content
+    }))
+  });
+
+  const { data: commit } = await octokit.rest.git.createCommit({
+    owner,
+    repo,
+    message,
+    tree: tree.sha,
+    parents: parentSha ? [parentSha] : []
+  });
+
+  // Only the seed commit is dropped when forcing
+  await octokit.rest.git.updateRef({ owner, repo, ref: `heads/${branch}`, sha: commit.sha, force: !parentSha });
+
+  return { sha: commit.sha, branch };
+}
@@ -0,0 +1,199 @@
+// GitHub sign-in through the OAuth device flow, and checks of what a token
+// can actually do before a commit depends on it
+
+export const GITHUB_LOGIN_URL = "https://github.com/login";
+
+// Private repositories are created on first commit, which needs the full `repo` scope
+export const OAUTH_SCOPES = "repo";
+
+// Classic (ghp_), OAuth (gho_), user-to-server (ghu_), server-to-server (ghs_),
+// refresh (ghr_) and fine-grained (github_pat_) tokens
+export function isGitHubToken(token) {
+  return /^gh[pousr]_[A-Za-z0-9_]{36,}$/.test(token) || /^github_pat_[A-Za-z0-9_]{22,}$/.test(token);
+}
+
+const TOKEN_TYPES = {
+  ghp_: "classic",
+  gho_: "oauth",
+  ghu_: "user-to-server",
+  ghs_: "server-to-server",
+  ghr_: "refresh",
+  github_pat_: "fine-grained"
+};
+
+function tokenType(token) {
+  const prefix = Object.keys(TOKEN_TYPES).find((p) => token.startsWith(p));
+  return prefix ? TOKEN_TYPES[prefix] : "unknown";
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function postForm(url, params) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { Accept: "application/json", "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams(params)
+  });
+  if (!response.ok) {
+    throw new Error(`GitHub sign-in returned ${response.status}`);
+  }
+  return response.json();
+}
+
+// Starts a device-flow sign-in. github.com's login endpoints don't allow
+// cross-origin requests, so browsers pass a same-origin proxy as `baseUrl`.
+// Returns `{ deviceCode, userCode, verificationUri, expiresIn, interval }`.
+export async function requestDeviceCode({ clientId, scope = OAUTH_SCOPES, baseUrl = GITHUB_LOGIN_URL }) {
+  const data = await postForm(`${baseUrl}/device/code`, { client_id: clientId, scope });
+  if (data.error) {
+    throw new Error(`GitHub sign-in failed: ${data.error_description || data.error}`);
+  }
+  return {
+    deviceCode: data.device_code,
+    userCode: data.user_code,
+    verificationUri: data.verification_uri,
+    expiresIn: data.expires_in,
+    interval: data.interval
+  };
+}
+
+// Polls until the user approves the code on GitHub, returning `{ token, scopes }`
+export async function pollForToken({ clientId, deviceCode, interval = 5, expiresIn = 900, baseUrl = GITHUB_LOGIN_URL, signal }) {
+  const deadline = Date.now() + expiresIn * 1000;
+  let wait = interval;
+
+  while (Date.now() < deadline) {
+    await sleep(wait * 1000);
+    if (signal?.aborted) {
+      throw new Error("Sign-in cancelled");
+    }
+
+    const data = await postForm(`${baseUrl}/oauth/access_token`, {
+      client_id: clientId,
+      device_code: deviceCode,
+      grant_type: "urn:ietf:params:oauth:grant-type:device_code"
+    });
+
+    switch (data.error) {
+      case undefined:
+        return { token: data.access_token, scopes: data.scope ? data.scope.split(",") : [] };
+      case "authorization_pending":
+        break;
+      case "slow_down":
+        wait = data.interval || wait + 5;
+        break;
+      case "access_denied":
+        throw new Error("Sign-in was denied on GitHub");
+      case "expired_token":
+        throw new Error("The sign-in code expired; start again");
+      default:
+        throw new Error(`GitHub sign-in failed: ${data.error_description || data.error}`);
+    }
+  }
+  throw new Error("The sign-in code expired; start again");
+}
+
+// Whether a read of the repository's pull requests is allowed. Fine-grained
+// and GitHub App tokens report the permission they lack on a 403.
+async function canReadPulls(octokit, { owner, repo }) {
+  try {
+    await octokit.rest.pulls.list({ owner, repo, per_page: 1 });
+    return { ok: true };
+  } catch (error) {
+    if (error.status !== 403 && error.status !== 404) throw error;
+    return { ok: false, needs: error.response?.headers?.["x-accepted-github-permissions"] || null };
+  }
+}
+
+/**
+ * Checks the token behind `octokit` against what GitExpress needs for
+ * `owner/repo`; `owner` is a user or organization, the signed-in account
+ * when empty.
+ *
+ * Nothing is written: classic and OAuth tokens are judged by their scopes,
+ * and every token by the repository's `permissions`, which GitHub narrows
+ * to what a fine-grained or app token was granted.
+ *
+ * Returns `{ login, type, scopes, expiresAt, rateLimit, checks, missing }`
+ * where `checks` is a list of `{ label, ok, detail }` and `missing` lists
+ * the permissions to add. Throws when the token isn't accepted at all.
+ */
+export async function checkToken(octokit, { token, owner: repoOwner, repo }) {
+  let user;
+  let headers;
+  try {
+    ({ data: user, headers } = await octokit.rest.users.getAuthenticated());
+  } catch (error) {
+    if (error.status === 401) throw new Error("GitHub rejected the token; it is invalid, revoked or expired");
+    throw error;
+  }
+
+  const type = tokenType(token);
+  const owner = repoOwner?.trim() || user.login;
+  const scopes = headers["x-oauth-scopes"] ? headers["x-oauth-scopes"].split(",").map((s) => s.trim()).filter(Boolean) : null;
+  const { data: limits } = await octokit.rest.rateLimit.get();
+  const checks = [];
+  const missing = [];
+
+  const check = (label, ok, detail, requirement) => {
+    checks.push({ label, ok, detail });
+    if (!ok && requirement) missing.push(requirement);
+  };
+
+  if (scopes) {
+    // Classic and OAuth tokens report their scopes on every response
+    check("Scopes", scopes.includes("repo"), scopes.join(", ") || "none", "the `repo` scope");
+  }
+
+  const core = limits.resources.core;
+  check(
+    "Rate limit",
+    core.remaining > 50,
+    `${core.remaining}/${core.limit} requests left, resets ${new Date(core.reset * 1000).toLocaleTimeString()}`,
+    null
+  );
+
+  let repository = null;
+  try {
+    ({ data: repository } = await octokit.rest.repos.get({ owner, repo }));
+  } catch (error) {
+    if (error.status !== 404) throw error;
+  }
+
+  if (repository) {
+    const canPush = Boolean(repository.permissions?.push);
+    check("Contents write", canPush, `${owner}/${repo}`, `Contents: Read & Write on ${owner}/${repo}`);
+
+    const requirement = `Pull requests: Read & Write on ${owner}/${repo} (for the pull request workflow)`;
+    if (scopes) {
+      // The repo scope covers pull requests wherever the account can push
+      check("Pull requests", canPush, `${owner}/${repo} (only needed for the pull request workflow)`, requirement);
+    } else {
+      // Write access can't be seen without writing, so only reading is confirmed
+      const pulls = await canReadPulls(octokit, { owner, repo });
+      check(
+        "Pull requests",
+        pulls.ok,
+        pulls.ok
+          ? `${owner}/${repo} can be read; opening one also needs Read & Write (only for the pull request workflow)`
+          : `${owner}/${repo} not accessible${pulls.needs ? ` (needs ${pulls.needs})` : ""}`,
+        requirement
+      );
+    }
+  } else if (!scopes) {
+    // Creating a repository can't be checked without creating one
+    check("Repository", true, `${owner}/${repo} doesn't exist yet; creating it needs Administration: Read & Write on all repositories`, null);
+  } else {
+    check("Repository", true, `${owner}/${repo} doesn't exist yet and will be created on first commit`, null);
+  }
+
+  return {
+    login: user.login,
+    type,
+    scopes,
+    expiresAt: headers["github-authentication-token-expiration"] || null,
+    rateLimit: core,
+    checks,
+    missing
+  };
+}
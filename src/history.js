@@ -0,0 +1,69 @@
+// Run history, kept in IndexedDB so it survives reloads.
+//
+// A run record looks like:
+//   { id, startedAt, updatedAt, status, mode, languages, problemRef, prompt,
+//     provider, model, problem: { source, id, title, url } | null,
+//     result (generateSolution's output, for reopening), repo, sha, url,
+//     paths, error, usage, logs: string[] }
+// where `status` is one of RUN_STATUS and `usage` totals the run's model
+// calls (see usage.js).
+
+const DB_NAME = "gitexpress";
+const DB_VERSION = 1;
+const STORE = "runs";
+
+export const RUN_STATUS = {
+  RUNNING: "running",
+  REVIEW: "review",
+  COMMITTED: "committed",
+  UNCHANGED: "unchanged",
+  CANCELLED: "cancelled",
+  FAILED: "failed"
+};
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE, { keyPath: "id", autoIncrement: true });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+}
+
+// Runs `action` against the store in one transaction, resolving to its request's result
+async function withStore(mode, action) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE, mode);
+    const request = action(transaction.objectStore(STORE));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+// Inserts or updates `run`, returning its id
+export function saveRun(run) {
+  return withStore("readwrite", (store) => store.put(run));
+}
+
+// Every run, newest first
+export async function listRuns() {
+  const runs = await withStore("readonly", (store) => store.getAll());
+  return runs.sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+}
+
+export function deleteRun(id) {
+  return withStore("readwrite", (store) => store.delete(id));
+}
+
+export function clearRuns() {
+  return withStore("readwrite", (store) => store.clear());
+}
@@ -0,0 +1,52 @@
+// Helpers shared by the git host adapters
+
+export function trimUrl(url) {
+  return (url || "").trim().replace(/\/+$/, "");
+}
+
+// JSON client for a forge's REST API. Failed requests throw an Error carrying
+// the HTTP `status`, like Octokit's, so callers can treat 404s alike.
+export function createApi({ baseUrl, headers, platform }) {
+  return async function request(method, path, { query, body, raw = false } = {}) {
+    const search = query ? `?${new URLSearchParams(query)}` : "";
+    const response = await fetch(`${baseUrl}${path}${search}`, {
+      method,
+      headers: { Accept: "application/json", ...headers, ...(body && { "Content-Type": "application/json" }) },
+      body: body && JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+      let detail = "";
+      try {
+        const data = await response.json();
+        const message = data.message || data.error;
+        if (message) detail = `: ${typeof message === "string" ? message : JSON.stringify(message)}`;
+      } catch {
+        // Not every error has a JSON body
+      }
+      const error = new Error(`${platform} returned ${response.status}${detail}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    if (raw) return response.text();
+    return response.status === 204 ? null : response.json();
+  };
+}
+
+// Topic names from a comma-separated string or a list, in the lowercase,
+// hyphenated form every forge accepts
+export function topicList(topics) {
+  const names = Array.isArray(topics) ? topics : (topics || "").split(",");
+  return [...new Set(names.map((name) => name.trim().toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "")).filter(Boolean))];
+}
+
+// The request's result, or `fallback` when the resource doesn't exist
+export async function orMissing(promise, fallback = null) {
+  try {
+    return await promise;
+  } catch (error) {
+    if (error.status === 404) return fallback;
+    throw error;
+  }
+}
@@ -0,0 +1,162 @@
+import { decodeBase64, encodeBase64, normalizePath } from "../github.js";
+import { createApi, orMissing, topicList, trimUrl } from "./common.js";
+
+const PAGE_SIZE = 50;
+
+// A self-hosted Gitea or Forgejo server (Forgejo keeps Gitea's API), through
+// the REST API v1. Multi-file commits need Gitea 1.20 / Forgejo 1.20 or later.
+function create({ token, baseUrl }) {
+  const web = trimUrl(baseUrl);
+  if (!web) {
+    throw new Error("Gitea/Forgejo needs the server URL");
+  }
+  const request = createApi({ baseUrl: `${web}/api/v1`, headers: { Authorization: `token ${token}` }, platform: "Gitea" });
+
+  const repoPath = (owner, repo) => `/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}`;
+  const contentsPath = (owner, repo, path) => `${repoPath(owner, repo)}/contents/${path.split("/").map(encodeURIComponent).join("/")}`;
+  const getRepository = (owner, repo) => orMissing(request("GET", repoPath(owner, repo)));
+
+  // Follows page/limit pagination until a short page
+  async function getAll(path) {
+    const items = [];
+    for (let page = 1; ; page++) {
+      const batch = await request("GET", path, { query: { limit: PAGE_SIZE, page } });
+      items.push(...batch);
+      if (batch.length < PAGE_SIZE) return items;
+    }
+  }
+
+  async function getUser() {
+    const user = await request("GET", "/user");
+    return { login: user.login };
+  }
+
+  return {
+    name: "Gitea",
+    getUser,
+
+    async listOwners() {
+      const { login } = await getUser();
+      const orgs = await getAll("/user/orgs");
+      return [{ login, type: "user" }, ...orgs.map((org) => ({ login: org.username, type: "org" }))];
+    },
+
+    async listRepositories({ owner }) {
+      const { login } = await getUser();
+      const repos = owner === login
+        ? (await getAll("/user/repos")).filter((repository) => repository.owner.login === login)
+        : await getAll(`/orgs/${encodeURIComponent(owner)}/repos`);
+      return repos.map((repository) => repository.name).sort((a, b) => a.localeCompare(b));
+    },
+
+    // Gitea applies the README, license and .gitignore templates itself when
+    // initializing; a custom default branch needs that initial commit
+    async ensureRepository({ owner, repo, description, settings = {} }) {
+      if (await getRepository(owner, repo)) return false;
+
+      const { login } = await getUser();
+      await request("POST", owner === login ? "/user/repos" : `/orgs/${encodeURIComponent(owner)}/repos`, {
+        body: {
+          name: repo,
+          description,
+          private: settings.visibility !== "public",
+          auto_init: Boolean(settings.readme || settings.license || settings.gitignore || settings.defaultBranch),
+          ...(settings.license && { license: settings.license }),
+          ...(settings.gitignore && { gitignores: settings.gitignore }),
+          ...(settings.defaultBranch && { default_branch: settings.defaultBranch })
+        }
+      });
+
+      const topics = topicList(settings.topics);
+      if (topics.length > 0) {
+        await request("PUT", `${repoPath(owner, repo)}/topics`, { body: { topics } });
+      }
+      return true;
+    },
+
+    async readFile({ owner, repo, path }) {
+      const file = await orMissing(request("GET", contentsPath(owner, repo, path)));
+      return file?.type === "file" ? decodeBase64(file.content) : null;
+    },
+
+    async listDirectory({ owner, repo, path }) {
+      const entries = await orMissing(request("GET", contentsPath(owner, repo, path)), []);
+      return Array.isArray(entries)
+        ? entries.map(({ name, path: entryPath, sha, type }) => ({ name, path: entryPath, sha, type }))
+        : [];
+    },
+
+    // The recursive tree is paginated; `truncated` marks that more pages follow
+    async listRepoPaths({ owner, repo }) {
+      const repository = await getRepository(owner, repo);
+      if (!repository || repository.empty) return [];
+
+      const paths = [];
+      for (let page = 1; ; page++) {
+        const tree = await request("GET", `${repoPath(owner, repo)}/git/trees/${encodeURIComponent(repository.default_branch)}`, {
+          query: { recursive: true, page }
+        });
+        paths.push(...(tree.tree || []).filter((entry) => entry.type === "blob").map((entry) => entry.path));
+        if (!tree.truncated) return paths;
+      }
+    },
+
+    async createBranch({ owner, repo, branch }) {
+      const repository = await request("GET", repoPath(owner, repo));
+      if (repository.empty) return null;
+      await request("POST", `${repoPath(owner, repo)}/branches`, {
+        body: { new_branch_name: branch, old_branch_name: repository.default_branch }
+      });
+      return repository.default_branch;
+    },
+
+    // A single commit through the change-files API; updated files must carry
+    // their current blob SHA
+    async commitFiles({ owner, repo, files, message, branch: targetBranch }) {
+      if (!files.length) {
+        throw new Error("Nothing to commit");
+      }
+
+      const repository = await request("GET", repoPath(owner, repo));
+      const branch = targetBranch || repository.default_branch;
+      const changes = await Promise.all(files.map(async (file) => {
+        const path = normalizePath(file.path);
+        const existing = repository.empty
+          ? null
+          : await orMissing(request("GET", contentsPath(owner, repo, path), { query: { ref: branch } }));
+        return {
+          operation: existing ? "update" : "create",
+          path,
+          content: encodeBase64(file.content),
+          ...(existing && { sha: existing.sha })
+        };
+      }));
+
+      const result = await request("POST", `${repoPath(owner, repo)}/contents`, {
+        body: { branch, message, files: changes }
+      });
+      return { sha: result.commit.sha, branch };
+    },
+
+    async createPullRequest({ owner, repo, head, base, title, body }) {
+      const pr = await request("POST", `${repoPath(owner, repo)}/pulls`, { body: { head, base, title, body } });
+      return { number: pr.number, url: pr.html_url };
+    },
+
+    repoUrl({ owner, repo }) {
+      return `${web}/${owner}/${repo}`;
+    },
+
+    async treeUrl({ owner, repo, path }) {
+      const repository = await request("GET", repoPath(owner, repo));
+      return `${web}/${owner}/${repo}/src/branch/${repository.default_branch}/${encodeURI(path)}`;
+    }
+  };
+}
+
+export const gitea = {
+  label: "Gitea / Forgejo",
+  defaultUrl: "",
+  tokenHint: "Use an access token with the write:repository and read:user scopes.",
+  create
+};
@@ -0,0 +1,95 @@
+import { Octokit } from "octokit";
+import { commitFiles, createBranch, listDirectory, listRepoPaths, readFile } from "../github.js";
+import { topicList, trimUrl } from "./common.js";
+
+const GITHUB_URL = "https://github.com";
+
+// github.com, or a GitHub Enterprise Server at `baseUrl`
+function create({ token, baseUrl }) {
+  const web = trimUrl(baseUrl) || GITHUB_URL;
+  const enterprise = web !== GITHUB_URL;
+  const octokit = new Octokit({ auth: token || undefined, ...(enterprise && { baseUrl: `${web}/api/v3` }) });
+
+  async function getUser() {
+    const { data: user } = await octokit.rest.users.getAuthenticated();
+    return { login: user.login };
+  }
+
+  return {
+    name: enterprise ? "GitHub Enterprise" : "GitHub",
+    octokit,
+    getUser,
+
+    async listOwners() {
+      const { login } = await getUser();
+      const orgs = await octokit.paginate(octokit.rest.orgs.listForAuthenticatedUser, { per_page: 100 });
+      return [{ login, type: "user" }, ...orgs.map((org) => ({ login: org.login, type: "org" }))];
+    },
+
+    async listRepositories({ owner }) {
+      const { login } = await getUser();
+      const repos = owner === login
+        ? await octokit.paginate(octokit.rest.repos.listForAuthenticatedUser, { affiliation: "owner", per_page: 100 })
+        : await octokit.paginate(octokit.rest.repos.listForOrg, { org: owner, per_page: 100 });
+      return repos.map((repository) => repository.name).sort((a, b) => a.localeCompare(b));
+    },
+
+    // Templates and a custom default branch need an initial commit, and GitHub
+    // only makes one by adding a README (auto_init)
+    async ensureRepository({ owner, repo, description, settings = {} }) {
+      try {
+        await octokit.rest.repos.get({ owner, repo });
+        return false;
+      } catch (error) {
+        if (error.status !== 404) throw error;
+      }
+
+      const { login } = await getUser();
+      const options = {
+        name: repo,
+        description,
+        auto_init: Boolean(settings.readme || settings.license || settings.gitignore || settings.defaultBranch),
+        ...(settings.license && { license_template: settings.license.toLowerCase() }),
+        ...(settings.gitignore && { gitignore_template: settings.gitignore })
+      };
+      const { data: created } = owner === login
+        ? await octokit.rest.repos.createForAuthenticatedUser({ ...options, private: settings.visibility !== "public" })
+        : await octokit.rest.repos.createInOrg({ ...options, org: owner, visibility: settings.visibility || "private" });
+
+      if (settings.defaultBranch && settings.defaultBranch !== created.default_branch) {
+        await octokit.rest.repos.renameBranch({ owner, repo, branch: created.default_branch, new_name: settings.defaultBranch });
+      }
+      const names = topicList(settings.topics);
+      if (names.length > 0) {
+        await octokit.rest.repos.replaceAllTopics({ owner, repo, names });
+      }
+      return true;
+    },
+
+    readFile: (args) => readFile(octokit, args),
+    listDirectory: (args) => listDirectory(octokit, args),
+    listRepoPaths: (args) => listRepoPaths(octokit, args),
+    createBranch: (args) => createBranch(octokit, args),
+    commitFiles: (args) => commitFiles(octokit, args),
+
+    async createPullRequest({ owner, repo, head, base, title, body }) {
+      const { data: pr } = await octokit.rest.pulls.create({ owner, repo, head, base, title, body });
+      return { number: pr.number, url: pr.html_url };
+    },
+
+    repoUrl({ owner, repo }) {
+      return `${web}/${owner}/${repo}`;
+    },
+
+    async treeUrl({ owner, repo, path }) {
+      return `${web}/${owner}/${repo}/tree/HEAD/${encodeURI(path)}`;
+    }
+  };
+}
+
+export const github = {
+  label: "GitHub / GitHub Enterprise",
+  defaultUrl: GITHUB_URL,
+  tokenHint: "Use a fine-grained token with Contents: Read & Write permission only.",
+  create
+};
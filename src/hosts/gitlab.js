@@ -0,0 +1,161 @@
+import { normalizePath } from "../github.js";
+import { createApi, orMissing, topicList, trimUrl } from "./common.js";
+
+const GITLAB_URL = "https://gitlab.com";
+const PAGE_SIZE = 100;
+
+// gitlab.com or a self-managed instance, through the REST API v4
+function create({ token, baseUrl }) {
+  const web = trimUrl(baseUrl) || GITLAB_URL;
+  const request = createApi({ baseUrl: `${web}/api/v4`, headers: { Authorization: `Bearer ${token}` }, platform: "GitLab" });
+
+  // Projects are addressed by their URL-encoded full path
+  const project = (owner, repo) => `/projects/${encodeURIComponent(`${owner}/${repo}`)}`;
+  const getProject = (owner, repo) => orMissing(request("GET", project(owner, repo)));
+
+  // Follows page/per_page pagination until a short page
+  async function getAll(path, query) {
+    const items = [];
+    for (let page = 1; ; page++) {
+      const batch = await request("GET", path, { query: { ...query, per_page: PAGE_SIZE, page } });
+      items.push(...batch);
+      if (batch.length < PAGE_SIZE) return items;
+    }
+  }
+
+  async function getUser() {
+    const user = await request("GET", "/user");
+    return { login: user.username };
+  }
+
+  // A single commit through the commits API, which needs every file marked
+  // as created or updated. Empty projects get their first branch this way too.
+  async function commitFiles({ owner, repo, files, message, branch: targetBranch }) {
+    if (!files.length) {
+      throw new Error("Nothing to commit");
+    }
+
+    const { default_branch: defaultBranch } = await request("GET", project(owner, repo));
+    const branch = targetBranch || defaultBranch || "main";
+    const actions = await Promise.all(files.map(async (file) => {
+      const path = normalizePath(file.path);
+      const existing = await orMissing(request("GET", `${project(owner, repo)}/repository/files/${encodeURIComponent(path)}`, {
+        query: { ref: branch }
+      }));
+      return { action: existing ? "update" : "create", file_path: path, content: file.content };
+    }));
+
+    const commit = await request("POST", `${project(owner, repo)}/repository/commits`, {
+      body: { branch, commit_message: message, actions }
+    });
+    return { sha: commit.id, branch };
+  }
+
+  return {
+    name: "GitLab",
+    getUser,
+    commitFiles,
+
+    // Groups the user can create projects in (Developer access or above)
+    async listOwners() {
+      const { login } = await getUser();
+      const groups = await getAll("/groups", { min_access_level: 30 });
+      return [{ login, type: "user" }, ...groups.map((group) => ({ login: group.full_path, type: "org" }))];
+    },
+
+    async listRepositories({ owner }) {
+      const { login } = await getUser();
+      const projects = await getAll(owner === login
+        ? `/users/${encodeURIComponent(owner)}/projects`
+        : `/groups/${encodeURIComponent(owner)}/projects`);
+      return projects.map((p) => p.path).sort((a, b) => a.localeCompare(b));
+    },
+
+    // A custom default branch needs the initial README commit. GitLab has
+    // license and .gitignore templates but doesn't apply them on creation, so
+    // they're committed afterwards.
+    async ensureRepository({ owner, repo, description, settings = {} }) {
+      if (await getProject(owner, repo)) return false;
+
+      const { login } = await getUser();
+      const namespace = owner === login ? null : await request("GET", `/namespaces/${encodeURIComponent(owner)}`);
+      await request("POST", "/projects", {
+        body: {
+          name: repo,
+          path: repo,
+          description,
+          visibility: settings.visibility || "private",
+          ...(namespace && { namespace_id: namespace.id }),
+          initialize_with_readme: Boolean(settings.readme || settings.defaultBranch),
+          ...(settings.defaultBranch && { default_branch: settings.defaultBranch }),
+          topics: topicList(settings.topics)
+        }
+      });
+
+      const files = [];
+      if (settings.license) {
+        const template = await request("GET", `/templates/licenses/${encodeURIComponent(settings.license.toLowerCase())}`, {
+          query: { project: repo, fullname: login }
+        });
+        files.push({ path: "LICENSE", content: template.content });
+      }
+      if (settings.gitignore) {
+        const template = await request("GET", `/templates/gitignores/${encodeURIComponent(settings.gitignore)}`);
+        files.push({ path: ".gitignore", content: template.content });
+      }
+      if (files.length > 0) {
+        await commitFiles({ owner, repo, files, message: `Add ${files.map((file) => file.path).join(" and ")}` });
+      }
+      return true;
+    },
+
+    // Without a `ref` GitLab reads from the default branch
+    readFile({ owner, repo, path }) {
+      return orMissing(request("GET", `${project(owner, repo)}/repository/files/${encodeURIComponent(path)}/raw`, { raw: true }));
+    },
+
+    async listDirectory({ owner, repo, path }) {
+      const entries = await orMissing(getAll(`${project(owner, repo)}/repository/tree`, { path }), []);
+      return entries.map((entry) => ({
+        name: entry.name,
+        path: entry.path,
+        sha: entry.id,
+        type: entry.type === "tree" ? "dir" : "file"
+      }));
+    },
+
+    async listRepoPaths({ owner, repo }) {
+      const entries = await orMissing(getAll(`${project(owner, repo)}/repository/tree`, { recursive: true }), []);
+      return entries.filter((entry) => entry.type === "blob").map((entry) => entry.path);
+    },
+
+    async createBranch({ owner, repo, branch }) {
+      const { default_branch: base, empty_repo: empty } = await request("GET", project(owner, repo));
+      if (empty) return null;
+      await request("POST", `${project(owner, repo)}/repository/branches`, { query: { branch, ref: base } });
+      return base;
+    },
+
+    async createPullRequest({ owner, repo, head, base, title, body }) {
+      const mr = await request("POST", `${project(owner, repo)}/merge_requests`, {
+        body: { source_branch: head, target_branch: base, title, description: body }
+      });
+      return { number: mr.iid, url: mr.web_url };
+    },
+
+    repoUrl({ owner, repo }) {
+      return `${web}/${owner}/${repo}`;
+    },
+
+    async treeUrl({ owner, repo, path }) {
+      return `${web}/${owner}/${repo}/-/tree/HEAD/${encodeURI(path)}`;
+    }
+  };
+}
+
+export const gitlab = {
+  label: "GitLab",
+  defaultUrl: GITLAB_URL,
+  tokenHint: "Use a personal access token with the api scope.",
+  create
+};
@@ -0,0 +1,67 @@
+import { gitea } from "./gitea.js";
+import { github } from "./github.js";
+import { gitlab } from "./gitlab.js";
+
+/**
+ * Git hosts solutions can be committed to, keyed by the id stored in settings.
+ *
+ * An entry has a `label`, the `defaultUrl` used when no server URL is set
+ * (empty when one is required), a `tokenHint` on what token to create and
+ * `create({ token, baseUrl })`, which returns a client with:
+ * - `name`: display name for logs
+ * - `getUser()`: `{ login }` of the token's owner
+ * - `listOwners()`: `[{ login, type: "user" | "org" }]`, the user first, then
+ *   every organization (or group) the token can create repositories in
+ * - `listRepositories({ owner })`: names of the owner's repositories
+ * - `ensureRepository({ owner, repo, description, settings })`: creates the
+ *   repository when missing, as described by `settings` (see
+ *   DEFAULT_REPO_SETTINGS); true if it did
+ * - `readFile`, `listDirectory`, `listRepoPaths`, `createBranch` and
+ *   `commitFiles`: behave like their github.js namesakes, each taking
+ *   `{ owner, repo, ... }`
+ * - `createPullRequest({ owner, repo, head, base, title, body })`: opens a
+ *   pull (or merge) request, returning `{ number, url }`
+ * - `repoUrl({ owner, repo })` and async `treeUrl({ owner, repo, path })`: web links
+ */
+export const HOSTS = { github, gitlab, gitea };
+
+export const DEFAULT_HOST = "github";
+
+/**
+ * How auto-created repositories are set up:
+ * - `owner`: user or organization login; empty for the token's user
+ * - `visibility`: one of VISIBILITIES ("internal" only applies to organizations)
+ * - `defaultBranch`: empty for the host's default
+ * - `license`: SPDX id from LICENSES, or empty for none
+ * - `gitignore`: template name such as "Python" or "C++", or empty
+ * - `topics`: comma-separated
+ * - `readme`: start with a README
+ */
+export const DEFAULT_REPO_SETTINGS = {
+  owner: "",
+  visibility: "private",
+  defaultBranch: "",
+  license: "",
+  gitignore: "",
+  topics: "",
+  readme: false
+};
+
+export const VISIBILITIES = ["private", "public", "internal"];
+
+export const LICENSES = {
+  "MIT": "MIT License",
+  "Apache-2.0": "Apache License 2.0",
+  "GPL-3.0": "GNU GPL v3",
+  "BSD-3-Clause": "BSD 3-Clause",
+  "MPL-2.0": "Mozilla Public License 2.0",
+  "Unlicense": "The Unlicense"
+};
+
+export function createHost(id, { token, baseUrl }) {
+  const host = HOSTS[id];
+  if (!host) {
+    throw new Error(`Unknown git host '${id}' (expected one of: ${Object.keys(HOSTS).join(", ")})`);
+  }
+  return host.create({ token, baseUrl });
+}
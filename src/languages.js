@@ -0,0 +1,238 @@
+/**
+ * Every language GitExpress generates code in, in the order they're offered.
+ *
+ * An entry has:
+ * - `name`: display name, also used in prompts
+ * - `extension`: file extension of generated solutions
+ * - `comment`: line comment prefix, used for solution headers
+ * - `highlight`: highlight.js language for the editor
+ * - `leetcodeSlug`: LeetCode's `langSlug`, used to pick the starter snippet
+ * - `ioTemplate`: fast standard input/output boilerplate for judged problems
+ * - `style`: style-guide hints added to every prompt
+ * - `testFramework`: what generated unit tests are written with
+ * - `testSuffix`: added to a solution's file name for its unit tests, as the
+ *   framework expects (solution_test.py, solution.test.js, solutionTest.java)
+ */
+export const LANGUAGES = {
+  python: {
+    name: "Python",
+    extension: ".py",
+    comment: "#",
+    highlight: "python",
+    leetcodeSlug: "python3",
+    ioTemplate: `import sys
+
+def main():
+    data = sys.stdin.buffer.read().split()
+    # parse tokens from data, solve, then print the answer
+
+main()`,
+    style: "Follow PEP 8, use snake_case names and type hints on functions.",
+    testFramework: "pytest",
+    testSuffix: "_test"
+  },
+  cpp: {
+    name: "C++",
+    extension: ".cpp",
+    comment: "//",
+    highlight: "cpp",
+    leetcodeSlug: "cpp",
+    ioTemplate: `#include <bits/stdc++.h>
+using namespace std;
+
+int main() {
+    ios::sync_with_stdio(false);
+    cin.tie(nullptr);
+    // read input with cin, write output with '\\n' instead of endl
+    return 0;
+}`,
+    style: "Use modern C++17, STL containers and algorithms, and avoid raw new/delete.",
+    testFramework: "GoogleTest",
+    testSuffix: "_test"
+  },
+  java: {
+    name: "Java",
+    extension: ".java",
+    comment: "//",
+    highlight: "java",
+    leetcodeSlug: "java",
+    ioTemplate: `import java.io.*;
+import java.util.*;
+
+class Main {
+    public static void main(String[] args) throws IOException {
+        BufferedReader in = new BufferedReader(new InputStreamReader(System.in));
+        PrintWriter out = new PrintWriter(new BufferedWriter(new OutputStreamWriter(System.out)));
+        StringTokenizer st = new StringTokenizer(in.readLine());
+        // read with st.nextToken(), write with out.println(...)
+        out.flush();
+    }
+}`,
+    style: "Follow the Google Java Style Guide; the class with main is named Main, and no top-level class is public since the file is named solution.java.",
+    testFramework: "JUnit 5",
+    testSuffix: "Test"
+  },
+  javascript: {
+    name: "JavaScript",
+    extension: ".js",
+    comment: "//",
+    highlight: "javascript",
+    leetcodeSlug: "javascript",
+    ioTemplate: `const data = require("fs").readFileSync(0, "utf8").split(/\\s+/).filter(Boolean);
+let pos = 0;
+const next = () => data[pos++];
+const out = [];
+// read with next(), push answers to out
+console.log(out.join("\\n"));`,
+    style: "Use modern ES2020+, const/let and camelCase names; no external packages.",
+    testFramework: "node:test with node:assert",
+    testSuffix: ".test"
+  },
+  typescript: {
+    name: "TypeScript",
+    extension: ".ts",
+    comment: "//",
+    highlight: "typescript",
+    leetcodeSlug: "typescript",
+    ioTemplate: `import { readFileSync } from "fs";
+
+const data: string[] = readFileSync(0, "utf8").split(/\\s+/).filter(Boolean);
+let pos = 0;
+const next = (): string => data[pos++];
+const out: string[] = [];
+// read with next(), push answers to out
+console.log(out.join("\\n"));`,
+    style: "Use strict TypeScript with explicit parameter and return types; avoid any.",
+    testFramework: "node:test with node:assert",
+    testSuffix: ".test"
+  },
+  go: {
+    name: "Go",
+    extension: ".go",
+    comment: "//",
+    highlight: "go",
+    leetcodeSlug: "golang",
+    ioTemplate: `package main
+
+import (
+	"bufio"
+	"fmt"
+	"os"
+)
+
+func main() {
+	in := bufio.NewReader(os.Stdin)
+	out := bufio.NewWriter(os.Stdout)
+	defer out.Flush()
+	// read with fmt.Fscan(in, ...), write with fmt.Fprintln(out, ...)
+}`,
+    style: "Write idiomatic, gofmt-formatted Go with short, clear names.",
+    testFramework: "the standard testing package",
+    testSuffix: "_test"
+  },
+  rust: {
+    name: "Rust",
+    extension: ".rs",
+    comment: "//",
+    highlight: "rust",
+    leetcodeSlug: "rust",
+    ioTemplate: `use std::io::{self, Read, Write};
+
+fn main() {
+    let mut input = String::new();
+    io::stdin().read_to_string(&mut input).unwrap();
+    let mut tokens = input.split_ascii_whitespace();
+    let mut out = io::BufWriter::new(io::stdout().lock());
+    // read with tokens.next(), write with writeln!(out, ...)
+    out.flush().unwrap();
+}`,
+    style: "Write idiomatic, rustfmt-formatted Rust; avoid unsafe and needless clones.",
+    testFramework: "#[test] functions run by cargo test",
+    testSuffix: "_test"
+  },
+  kotlin: {
+    name: "Kotlin",
+    extension: ".kt",
+    comment: "//",
+    highlight: "kotlin",
+    leetcodeSlug: "kotlin",
+    ioTemplate: `import java.io.*
+import java.util.*
+
+fun main() {
+    val reader = BufferedReader(InputStreamReader(System.\`in\`))
+    val out = StringBuilder()
+    val st = StringTokenizer(reader.readLine())
+    // read with st.nextToken(), append answers to out
+    print(out)
+}`,
+    style: "Follow the Kotlin coding conventions; prefer val, expressions and the standard library.",
+    testFramework: "JUnit 5 with kotlin.test",
+    testSuffix: "_test"
+  },
+  csharp: {
+    name: "C#",
+    extension: ".cs",
+    comment: "//",
+    highlight: "csharp",
+    leetcodeSlug: "csharp",
+    ioTemplate: `using System;
+using System.IO;
+using System.Text;
+
+public class Program {
+    public static void Main() {
+        var reader = new StreamReader(Console.OpenStandardInput());
+        var output = new StringBuilder();
+        var tokens = reader.ReadToEnd().Split((char[])null, StringSplitOptions.RemoveEmptyEntries);
+        // read from tokens, append answers to output
+        Console.Write(output);
+    }
+}`,
+    style: "Follow the .NET naming conventions (PascalCase methods, camelCase locals).",
+    testFramework: "xUnit",
+    testSuffix: "_test"
+  },
+  swift: {
+    name: "Swift",
+    extension: ".swift",
+    comment: "//",
+    highlight: "swift",
+    leetcodeSlug: "swift",
+    ioTemplate: `import Foundation
+
+var output = ""
+while let line = readLine() {
+    let tokens = line.split(separator: " ")
+    // parse tokens, append answers to output
+}
+print(output, terminator: "")`,
+    style: "Follow the Swift API Design Guidelines; prefer let and value types.",
+    testFramework: "XCTest",
+    testSuffix: "_test"
+  },
+  c: {
+    name: "C",
+    extension: ".c",
+    comment: "//",
+    highlight: "c",
+    leetcodeSlug: "c",
+    ioTemplate: `#include <stdio.h>
+#include <stdlib.h>
+#include <string.h>
+
+int main(void) {
+    /* read with scanf, write with printf */
+    return 0;
+}`,
+    style: "Write portable C11; check allocations and free what you allocate.",
+    testFramework: "assert.h checks in a main function",
+    testSuffix: "_test"
+  }
+};
+
+export const DEFAULT_LANGUAGE = "python";
+
+export function getLanguage(id) {
+  return LANGUAGES[id] || null;
+}
@@ -0,0 +1,10 @@
+export const MODES = {
+  LEETCODE: "LeetCode-Daily",
+  CODEFORCE: "CodeForce-Daily",
+  ATCODER: "AtCoder-Daily",
+  CSES: "CSES-Daily",
+  GFG: "GFG-POTD",
+  HACKERRANK: "HackerRank-Daily",
+  RANDOM: "Random Generation",
+  CUSTOM: "Custom Build"
+};
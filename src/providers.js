@@ -0,0 +1,212 @@
+import { GoogleGenerativeAI } from "@google/generative-ai";
+
+// LLM backends. Each adapter turns a system prompt into a chat whose
+// `sendMessage(text, onText)` streams the reply, calling `onText` with the
+// text received so far, and resolves to the full reply. The conversation
+// history is kept so repair prompts have context.
+//
+// `options.responseSchema` asks for a JSON reply of that shape. Only Gemini
+// enforces it; the other adapters rely on the prompt describing the format.
+// `options.onUsage` is called after every reply with `{ provider, model,
+// inputTokens, outputTokens }` (zero when the server doesn't say), and
+// `options.beforeSend` before every request; it throws to stop the request.
+
+export const PROVIDERS = {
+  gemini: {
+    label: "Google Gemini",
+    requiresKey: true,
+    defaults: { baseUrl: "", model: "gemini-2.5-flash" }
+  },
+  openai: {
+    label: "OpenAI-compatible",
+    requiresKey: true,
+    defaults: { baseUrl: "https://api.openai.com/v1", model: "gpt-4o-mini" }
+  },
+  anthropic: {
+    label: "Anthropic",
+    requiresKey: true,
+    defaults: { baseUrl: "https://api.anthropic.com", model: "claude-sonnet-4-5" }
+  },
+  local: {
+    label: "Local (Ollama / llama.cpp)",
+    requiresKey: false,
+    defaults: { baseUrl: "http://localhost:11434/v1", model: "llama3.1" }
+  }
+};
+
+// Saved settings for `provider`, with blank fields falling back to its defaults
+export function getProviderSettings(allSettings, provider) {
+  const saved = allSettings[provider] || {};
+  const { defaults } = PROVIDERS[provider];
+  return {
+    apiKey: saved.apiKey || "",
+    baseUrl: saved.baseUrl || defaults.baseUrl,
+    model: saved.model || defaults.model
+  };
+}
+
+// POSTs a streaming request and calls `onEvent` with each server-sent event's JSON payload
+async function streamEvents(url, headers, body, onEvent) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(body)
+  });
+
+  if (!response.ok) {
+    const detail = await response.text();
+    throw new Error(`${response.status} ${response.statusText} from ${url}: ${detail.slice(0, 300)}`);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    buffer += decoder.decode(value, { stream: !done });
+
+    const lines = buffer.split("\n");
+    buffer = done ? "" : lines.pop();
+
+    for (const line of lines) {
+      const data = line.match(/^data:\s*(.*)$/)?.[1];
+      if (data && data !== "[DONE]") {
+        onEvent(JSON.parse(data));
+      }
+    }
+
+    if (done) break;
+  }
+}
+
+function trimSlash(url) {
+  return url.replace(/\/+$/, "");
+}
+
+function createGeminiChat({ apiKey, model }, systemInstruction, { responseSchema, report }) {
+  const genAI = new GoogleGenerativeAI(apiKey);
+  const generationConfig = responseSchema ? { responseMimeType: "application/json", responseSchema } : undefined;
+  const chat = genAI.getGenerativeModel({ model, systemInstruction, generationConfig }).startChat();
+
+  return {
+    async sendMessage(text, onText) {
+      const result = await chat.sendMessageStream(text);
+      let reply = "";
+      for await (const chunk of result.stream) {
+        reply += chunk.text();
+        if (onText) onText(reply);
+      }
+
+      // Thinking tokens are billed as output
+      const { usageMetadata: usage } = await result.response;
+      report({
+        inputTokens: usage?.promptTokenCount || 0,
+        outputTokens: (usage?.candidatesTokenCount || 0) + (usage?.thoughtsTokenCount || 0)
+      });
+      return reply;
+    }
+  };
+}
+
+function createOpenAIChat({ apiKey, baseUrl, model }, systemInstruction, { report }) {
+  const messages = [{ role: "system", content: systemInstruction }];
+
+  return {
+    async sendMessage(text, onText) {
+      messages.push({ role: "user", content: text });
+      let reply = "";
+      let usage = null;
+
+      // Usage comes in a final chunk, when the server supports it
+      await streamEvents(
+        `${trimSlash(baseUrl)}/chat/completions`,
+        apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+        { model, messages, stream: true, stream_options: { include_usage: true } },
+        (event) => {
+          if (event.usage) usage = event.usage;
+          const delta = event.choices?.[0]?.delta?.content;
+          if (delta) {
+            reply += delta;
+            if (onText) onText(reply);
+          }
+        }
+      );
+
+      messages.push({ role: "assistant", content: reply });
+      report({ inputTokens: usage?.prompt_tokens || 0, outputTokens: usage?.completion_tokens || 0 });
+      return reply;
+    }
+  };
+}
+
+function createAnthropicChat({ apiKey, baseUrl, model }, systemInstruction, { report }) {
+  const messages = [];
+
+  return {
+    async sendMessage(text, onText) {
+      messages.push({ role: "user", content: text });
+      let reply = "";
+      let inputTokens = 0;
+      let outputTokens = 0;
+
+      await streamEvents(
+        `${trimSlash(baseUrl)}/v1/messages`,
+        {
+          "x-api-key": apiKey,
+          "anthropic-version": "2023-06-01",
+          "anthropic-dangerous-direct-browser-access": "true"
+        },
+        { model, max_tokens: 8192, system: systemInstruction, messages, stream: true },
+        (event) => {
+          if (event.type === "error") {
+            throw new Error(event.error?.message || "Anthropic stream error");
+          }
+          // Input tokens arrive when the message starts, the output count with its last delta
+          if (event.type === "message_start") {
+            const usage = event.message?.usage || {};
+            inputTokens = (usage.input_tokens || 0) + (usage.cache_creation_input_tokens || 0) + (usage.cache_read_input_tokens || 0);
+          }
+          if (event.type === "message_delta" && event.usage) {
+            outputTokens = event.usage.output_tokens || 0;
+          }
+          if (event.type === "content_block_delta" && event.delta?.type === "text_delta") {
+            reply += event.delta.text;
+            if (onText) onText(reply);
+          }
+        }
+      );
+
+      messages.push({ role: "assistant", content: reply });
+      report({ inputTokens, outputTokens });
+      return reply;
+    }
+  };
+}
+
+const ADAPTERS = {
+  gemini: createGeminiChat,
+  openai: createOpenAIChat,
+  anthropic: createAnthropicChat,
+  // Ollama and llama.cpp both serve the OpenAI chat completions API
+  local: createOpenAIChat
+};
+
+export function createChat(provider, settings, systemInstruction, { onUsage, beforeSend, ...options } = {}) {
+  const adapter = ADAPTERS[provider];
+  if (!adapter) {
+    throw new Error(`Unknown LLM provider: ${provider}`);
+  }
+  const report = (tokens) => {
+    if (onUsage) onUsage({ provider, model: settings.model, ...tokens });
+  };
+  const chat = adapter(settings, systemInstruction, { ...options, report });
+  if (!beforeSend) return chat;
+  return {
+    ...chat,
+    sendMessage: async (text, onText) => {
+      beforeSend();
+      return chat.sendMessage(text, onText);
+    }
+  };
+}
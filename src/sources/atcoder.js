@@ -0,0 +1,122 @@
+import { kebab } from "../dsa.js";
+import { MODES } from "../modes.js";
+import { fetchJson, fetchPage, pickDaily, preText, sectionText, STDIO_TEMPLATE } from "./common.js";
+
+// Problem lists and estimated difficulties come from AtCoder Problems
+const PROBLEMS_URL = "https://kenkoooo.com/atcoder/resources/problems.json";
+const MODELS_URL = "https://kenkoooo.com/atcoder/resources/problem-models.json";
+
+// Regular ABC/ARC/AGC rounds; sponsored and joke contests often lack English statements
+const RATED_CONTEST = /^a[brg]c\d+$/;
+
+// Task pages don't allow cross-origin requests, so browsers go through the
+// dev server's proxy (see vite.config.js); Node fetches them directly
+const PAGE_URL = typeof window === "undefined" ? "https://atcoder.jp" : "/atcoder";
+
+async function fetchAtCoderStatement(contestId, taskId) {
+  const $ = await fetchPage(`${PAGE_URL}/contests/${contestId}/tasks/${taskId}`, "AtCoder");
+  const root = $("#task-statement .lang-en").first();
+  if (root.length === 0) {
+    throw new Error("English statement not found on the page");
+  }
+
+  const limits = $("#main-container").text().match(/Time Limit:\s*([^/]+?)\s*\/\s*Memory Limit:\s*(\S+\s*\S+)/);
+  const sections = {};
+  const samples = [];
+
+  root.find("section").each((i, section) => {
+    const heading = $(section).children("h3").first().text().trim();
+    const sample = heading.match(/^Sample (Input|Output) (\d+)/);
+
+    if (sample) {
+      const index = Number(sample[2]) - 1;
+      samples[index] = samples[index] || { input: "", expected: "" };
+      const text = preText($, $(section).find("pre").first());
+      if (sample[1] === "Input") {
+        samples[index].input = `${text}\n`;
+      } else {
+        samples[index].expected = text;
+      }
+      return;
+    }
+
+    const body = $(section).clone();
+    body.children("h3").remove();
+    sections[heading] = sectionText($, body);
+  });
+
+  return {
+    timeLimit: limits ? limits[1] : "",
+    memoryLimit: limits ? limits[2] : "",
+    description: sections["Problem Statement"] || "",
+    constraints: sections["Constraints"] || "",
+    inputSpec: sections["Input"] || "",
+    outputSpec: sections["Output"] || "",
+    samples: samples.filter(Boolean)
+  };
+}
+
+async function fetchProblemList() {
+  const [problems, models] = await Promise.all([
+    fetchJson(PROBLEMS_URL, "AtCoder Problems"),
+    fetchJson(MODELS_URL, "AtCoder Problems").catch(() => ({}))
+  ]);
+  return { problems, models };
+}
+
+async function toProblem(meta, models) {
+  const estimate = models[meta.id]?.difficulty;
+
+  const problem = {
+    source: "atcoder",
+    id: meta.id,
+    contestId: meta.contest_id,
+    title: meta.name,
+    difficulty: estimate === undefined ? "Unrated" : Math.max(0, Math.round(estimate)),
+    tags: [meta.contest_id.slice(0, 3).toUpperCase()],
+    url: `https://atcoder.jp/contests/${meta.contest_id}/tasks/${meta.id}`,
+    hints: [],
+    samples: [],
+    testKind: "stdio"
+  };
+
+  try {
+    Object.assign(problem, await fetchAtCoderStatement(meta.contest_id, meta.id));
+  } catch (error) {
+    problem.statementError = error.message;
+  }
+  return problem;
+}
+
+export const atcoder = {
+  mode: MODES.ATCODER,
+  name: "AtCoder",
+  card: { icon: "🗾", title: "AtCoder Daily", description: "Solve a daily AtCoder task" },
+
+  async fetchDaily() {
+    const { problems, models } = await fetchProblemList();
+    const daily = pickDaily(problems.filter((p) => RATED_CONTEST.test(p.contest_id)), "atcoder");
+    return toProblem(daily, models);
+  },
+
+  // A task URL or a task id such as "abc300_a"
+  parseReference(text) {
+    const match = text.match(/atcoder\.jp\/contests\/[\w-]+\/tasks\/([\w-]+)/) || text.match(/^([a-z]+\d+_[a-z]\d?)$/i);
+    return match ? match[1].toLowerCase() : null;
+  },
+
+  async fetchById(id) {
+    const { problems, models } = await fetchProblemList();
+    const meta = problems.find((p) => p.id === id);
+    if (!meta) {
+      throw new Error(`AtCoder task '${id}' not found`);
+    }
+    return toProblem(meta, models);
+  },
+
+  folder(problem) {
+    return `atcoder/${problem.id}-${kebab(problem.title)}`;
+  },
+
+  promptTemplate: STDIO_TEMPLATE
+};
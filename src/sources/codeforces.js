@@ -0,0 +1,158 @@
+import { kebab } from "../dsa.js";
+import { MODES } from "../modes.js";
+import { fetchPage, pickDaily, preText, sectionText, STDIO_TEMPLATE } from "./common.js";
+
+export const CODEFORCES_DIVISIONS = ["Div. 1", "Div. 2", "Div. 3", "Div. 4", "Educational"];
+
+export const DEFAULT_CODEFORCES_FILTERS = {
+  minRating: 800,
+  maxRating: 1600,
+  includeTags: "",
+  excludeTags: "",
+  division: "",
+  skipSolved: true
+};
+
+function parseTagList(text) {
+  return text.split(",").map((tag) => tag.trim().toLowerCase()).filter(Boolean);
+}
+
+async function fetchProblemset() {
+  const response = await fetch("https://codeforces.com/api/problemset.problems");
+  const data = await response.json();
+  
+  if (data.status !== "OK") {
+    throw new Error("Codeforces API error");
+  }
+  return data.result.problems;
+}
+
+// Picks today's problem among those matching `filters`, skipping any id in
+// `solvedIds` (e.g. "1520A"). The same day and filters always give the same pick.
+async function fetchCodeforcesDaily(filters = DEFAULT_CODEFORCES_FILTERS, solvedIds = new Set()) {
+  const problems = await fetchProblemset();
+
+  let contestNames = null;
+  if (filters.division) {
+    const contestsResponse = await fetch("https://codeforces.com/api/contest.list");
+    const contests = await contestsResponse.json();
+    if (contests.status !== "OK") {
+      throw new Error("Codeforces API error");
+    }
+    contestNames = new Map(contests.result.map((contest) => [contest.id, contest.name]));
+  }
+
+  const includeTags = parseTagList(filters.includeTags);
+  const excludeTags = parseTagList(filters.excludeTags);
+  const minRating = Number(filters.minRating) || 0;
+  const maxRating = Number(filters.maxRating) || Infinity;
+
+  const candidates = problems.filter((problem) => {
+    const rating = problem.rating || 0;
+    if (rating < minRating || rating > maxRating) return false;
+    if (!includeTags.every((tag) => problem.tags.includes(tag))) return false;
+    if (excludeTags.some((tag) => problem.tags.includes(tag))) return false;
+    if (contestNames && !(contestNames.get(problem.contestId) || "").includes(filters.division)) return false;
+    return !solvedIds.has(`${problem.contestId}${problem.index}`);
+  });
+
+  if (candidates.length === 0) {
+    throw new Error("No Codeforces problems match the selected filters");
+  }
+
+  return pickDaily(candidates);
+}
+
+// Problem pages don't allow cross-origin requests, so browsers go through the
+// dev server's proxy (see vite.config.js); Node fetches them directly
+const PAGE_URL = typeof window === "undefined" ? "https://codeforces.com" : "/codeforces";
+
+async function fetchCodeforcesStatement(contestId, index) {
+  const $ = await fetchPage(`${PAGE_URL}/problemset/problem/${contestId}/${index}`, "Codeforces");
+  const root = $(".problem-statement").first();
+  if (root.length === 0) {
+    throw new Error("Problem statement not found on the page");
+  }
+
+  const header = root.children(".header");
+  const legend = header.next("div");
+
+  return {
+    timeLimit: sectionText($, header.find(".time-limit")),
+    memoryLimit: sectionText($, header.find(".memory-limit")),
+    description: legend.length ? sectionText($, legend) : "",
+    inputSpec: sectionText($, root.find(".input-specification")),
+    outputSpec: sectionText($, root.find(".output-specification")),
+    note: sectionText($, root.find(".note")),
+    samples: root.find(".sample-test").toArray().flatMap((test) => {
+      const inputs = $(test).find(".input pre").toArray();
+      const outputs = $(test).find(".output pre").toArray();
+      return inputs.map((input, i) => ({
+        input: `${preText($, input)}\n`,
+        expected: outputs[i] ? preText($, outputs[i]) : ""
+      }));
+    })
+  };
+}
+
+function toProblem(meta) {
+  return {
+    source: "codeforces",
+    id: `${meta.contestId}${meta.index}`,
+    contestId: meta.contestId,
+    index: meta.index,
+    title: meta.name,
+    difficulty: meta.rating || "Unrated",
+    tags: meta.tags,
+    url: `https://codeforces.com/problemset/problem/${meta.contestId}/${meta.index}`,
+    hints: [],
+    samples: [],
+    testKind: "stdio"
+  };
+}
+
+async function withStatement(problem) {
+  try {
+    Object.assign(problem, await fetchCodeforcesStatement(problem.contestId, problem.index));
+  } catch (error) {
+    problem.statementError = error.message;
+  }
+  return problem;
+}
+
+export const codeforces = {
+  mode: MODES.CODEFORCE,
+  name: "Codeforces",
+  card: { icon: "🏆", title: "Codeforces Daily", description: "Solve today's Codeforces problem" },
+
+  async fetchDaily({ filters, solvedIds }) {
+    return withStatement(toProblem(await fetchCodeforcesDaily(filters, solvedIds)));
+  },
+
+  // "1520A", "1520/A" or a contest/problemset URL
+  parseReference(text) {
+    const match = text.match(/codeforces\.com\/(?:contest\/(\d+)\/problem|problemset\/problem\/(\d+))\/([A-Za-z]\d?)/)
+      || text.match(/^(\d+)()\s*\/?\s*([A-Za-z]\d?)$/);
+    return match ? `${match[1] || match[2]}${match[3].toUpperCase()}` : null;
+  },
+
+  async fetchById(id) {
+    const [, contestId, index] = id.match(/^(\d+)([A-Z]\d?)$/);
+    const problems = await fetchProblemset();
+    const meta = problems.find((p) => String(p.contestId) === contestId && p.index === index)
+      // Problems from contests still running aren't in the problemset yet
+      || { contestId: Number(contestId), index, name: id, tags: [] };
+    return withStatement(toProblem(meta));
+  },
+
+  folder(problem) {
+    return `codeforces/${problem.id}-${kebab(problem.title)}`;
+  },
+
+  // Also recognizes the flat `cf_<id>_<timestamp>` files committed by older versions
+  idFromPath(path) {
+    return path.match(/^codeforces\/(\d+[A-Z]\d*)-/)?.[1] || path.match(/cf_(\d+[A-Z]\d*)_/)?.[1] || null;
+  },
+
+  promptTemplate: STDIO_TEMPLATE
+};
@@ -0,0 +1,119 @@
+import { load } from "cheerio";
+
+// Helpers shared by the problem sources
+
+export function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+// FNV-1a hash, used to seed the daily pick from the date
+export function hashString(text) {
+  let hash = 2166136261;
+  for (const char of text) {
+    hash ^= char.charCodeAt(0);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+// mulberry32: small, well-distributed seeded PRNG
+export function seededRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Deterministic pick for the day; `salt` keeps sources from sharing a sequence
+export function pickDaily(items, salt = "") {
+  const random = seededRandom(hashString(`${today()}${salt}`));
+  return items[Math.floor(random() * items.length)];
+}
+
+export async function fetchJson(url, platform) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`${platform} returned ${response.status}`);
+  }
+  return response.json();
+}
+
+export async function fetchPage(url, platform) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`${platform} returned ${response.status}`);
+  }
+  return load(await response.text());
+}
+
+// Plain text of a statement section, keeping paragraph and list structure.
+// Codeforces writes math as $$$...$$$, which is shortened to TeX-style $...$.
+export function sectionText($, element) {
+  const section = $(element).clone();
+  section.find(".section-title, .property-title").remove();
+  section.find("li").prepend("- ");
+  section.find("p").after("\n\n");
+  section.find("li, br, div").after("\n");
+
+  return section
+    .text()
+    .replace(/\$\$\$/g, "$")
+    .replace(/[ \t]+\n/g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+// Sample blocks are either plain <pre> text with <br> line breaks or one
+// <div class="test-example-line"> per line
+export function preText($, pre) {
+  const lines = $(pre).find(".test-example-line");
+  if (lines.length > 0) {
+    return lines.map((i, line) => $(line).text()).get().join("\n");
+  }
+  const block = $(pre).clone();
+  block.find("br").replaceWith("\n");
+  return block.text().replace(/^\n+|\s+$/g, "");
+}
+
+// Default prompt template for problems judged on standard input/output (see
+// core/templates.js)
+export const STDIO_TEMPLATE = `You are a competitive programming expert solving {{platform}} problems.
+
+Problem: {{title}}
+ID: {{id}}
+Difficulty: {{difficulty}}
+Tags: {{tags}}
+{{#timeLimit}}Time Limit: {{timeLimit}}
+{{/timeLimit}}{{#memoryLimit}}Memory Limit: {{memoryLimit}}
+{{/memoryLimit}}URL: {{url}}
+
+{{#description}}Problem Statement:
+{{description}}
+
+{{#inputSpec}}Input:
+{{inputSpec}}{{/inputSpec}}
+
+{{#outputSpec}}Output:
+{{outputSpec}}{{/outputSpec}}
+
+{{#constraints}}Constraints:
+{{constraints}}{{/constraints}}
+
+{{examples}}
+
+{{#note}}Note:
+{{note}}{{/note}}{{/description}}{{^description}}Note: The full statement could not be loaded; infer the problem from its title and tags.{{/description}}
+
+Generate a complete {{language}} solution with:
+1. Input read from standard input and output written to standard output, with fast I/O (if applicable)
+2. Optimal algorithm implementation
+3. Comments explaining the approach
+4. Time and space complexity analysis
+5. Handle all edge cases
+6. Style: {{style}}
+
+Start from this I/O template:
+{{ioTemplate}}`;
@@ -0,0 +1,132 @@
+import { kebab } from "../dsa.js";
+import { MODES } from "../modes.js";
+import { fetchPage, pickDaily, preText, sectionText, STDIO_TEMPLATE } from "./common.js";
+
+const BASE_URL = "https://cses.fi";
+// cses.fi doesn't allow cross-origin requests, so browsers go through the dev
+// server's proxy (see vite.config.js); Node fetches it directly
+const PAGE_URL = typeof window === "undefined" ? BASE_URL : "/cses";
+
+async function fetchTaskList() {
+  const $ = await fetchPage(`${PAGE_URL}/problemset/`, "CSES");
+  const tasks = [];
+
+  $("h2").each((i, heading) => {
+    const category = $(heading).text().trim();
+    $(heading).next(".task-list").find("li.task a").each((j, link) => {
+      const id = $(link).attr("href").match(/\/task\/(\d+)/)?.[1];
+      if (id) tasks.push({ id, title: $(link).text().trim(), category });
+    });
+  });
+
+  return tasks;
+}
+
+// The statement is one markdown block split by <h1> headings
+// (Input, Output, Constraints, Example)
+async function fetchTaskStatement(id) {
+  const $ = await fetchPage(`${PAGE_URL}/problemset/task/${id}`, "CSES");
+  const content = $(".content .md").first();
+  if (content.length === 0) {
+    throw new Error("Problem statement not found on the page");
+  }
+
+  const sections = { Statement: [] };
+  let current = "Statement";
+  content.children().each((i, element) => {
+    if (element.tagName === "h1") {
+      current = $(element).text().trim();
+      sections[current] = [];
+    } else {
+      sections[current].push(element);
+    }
+  });
+
+  const text = (name) => {
+    if (!sections[name]) return "";
+    const wrapper = $("<div></div>").append(sections[name].map((el) => $(el).clone()));
+    return sectionText($, wrapper);
+  };
+
+  const examples = Object.entries(sections)
+    .filter(([name]) => name.startsWith("Example"))
+    .flatMap(([, elements]) => elements.filter((el) => el.tagName === "pre"));
+
+  const samples = [];
+  for (let i = 0; i + 1 < examples.length; i += 2) {
+    samples.push({ input: `${preText($, examples[i])}\n`, expected: preText($, examples[i + 1]) });
+  }
+
+  const limit = (label) => {
+    const item = $(".task-constraints li").filter((i, li) => $(li).text().includes(label)).first();
+    return item.length ? item.text().replace(label, "").replace(":", "").trim() : "";
+  };
+
+  return {
+    timeLimit: limit("Time limit"),
+    memoryLimit: limit("Memory limit"),
+    description: text("Statement"),
+    inputSpec: text("Input"),
+    outputSpec: text("Output"),
+    constraints: text("Constraints"),
+    samples
+  };
+}
+
+async function toProblem(task) {
+  const problem = {
+    source: "cses",
+    id: task.id,
+    title: task.title,
+    difficulty: "Unrated",
+    tags: [task.category],
+    url: `${BASE_URL}/problemset/task/${task.id}`,
+    hints: [],
+    samples: [],
+    testKind: "stdio"
+  };
+
+  try {
+    Object.assign(problem, await fetchTaskStatement(task.id));
+  } catch (error) {
+    problem.statementError = error.message;
+  }
+  return problem;
+}
+
+async function fetchTasks() {
+  const tasks = await fetchTaskList();
+  if (tasks.length === 0) {
+    throw new Error("Could not read the CSES task list");
+  }
+  return tasks;
+}
+
+export const cses = {
+  mode: MODES.CSES,
+  name: "CSES",
+  card: { icon: "📘", title: "CSES Daily", description: "Work through the CSES Problem Set" },
+
+  async fetchDaily() {
+    return toProblem(pickDaily(await fetchTasks(), "cses"));
+  },
+
+  // A task URL such as https://cses.fi/problemset/task/1068
+  parseReference(text) {
+    return text.match(/cses\.fi\/problemset\/(?:task|view)\/(\d+)/)?.[1] || null;
+  },
+
+  async fetchById(id) {
+    const task = (await fetchTasks()).find((t) => t.id === id);
+    if (!task) {
+      throw new Error(`CSES task ${id} not found`);
+    }
+    return toProblem(task);
+  },
+
+  folder(problem) {
+    return `cses/${problem.id}-${kebab(problem.title)}`;
+  },
+
+  promptTemplate: STDIO_TEMPLATE
+};
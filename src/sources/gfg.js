@@ -0,0 +1,80 @@
+import { MODES } from "../modes.js";
+import { fetchJson } from "./common.js";
+import { htmlToMarkdown } from "./markdown.js";
+
+// The practice API doesn't allow cross-origin requests, so browsers go through
+// the dev server's proxy (see vite.config.js); Node fetches it directly
+const API_URL = typeof window === "undefined" ? "https://practiceapi.geeksforgeeks.org/api" : "/gfg/api";
+
+function topicTags(tags) {
+  return (tags && tags.topic_tags) || [];
+}
+
+async function fetchDetails(slug) {
+  const { results } = await fetchJson(`${API_URL}/latest/problems/${slug}/`, "GeeksforGeeks");
+  return results;
+}
+
+function toProblem(slug, meta) {
+  return {
+    source: "gfg",
+    id: slug,
+    title: meta.problem_name,
+    difficulty: meta.difficulty,
+    tags: topicTags(meta.tags),
+    url: `https://www.geeksforgeeks.org/problems/${slug}/1`,
+    description: htmlToMarkdown(meta.problem_question),
+    hints: [],
+    samples: [],
+    // GFG judges a function inside its own driver code, which can't be reproduced locally
+    testKind: null
+  };
+}
+
+export const gfg = {
+  mode: MODES.GFG,
+  name: "GeeksforGeeks",
+  card: { icon: "🟢", title: "GFG Problem of the Day", description: "Solve today's GeeksforGeeks POTD" },
+
+  async fetchDaily() {
+    const potd = await fetchJson(`${API_URL}/vr/problems-of-day/problem/today/`, "GeeksforGeeks");
+    const slug = potd.problem_url.match(/\/problems\/([^/]+)/)?.[1] || String(potd.problem_id);
+
+    try {
+      const details = await fetchDetails(slug);
+      return toProblem(slug, { ...details, tags: topicTags(details.tags).length ? details.tags : potd.tags });
+    } catch (error) {
+      return { ...toProblem(slug, potd), url: potd.problem_url, statementError: error.message };
+    }
+  },
+
+  // A problem URL such as https://www.geeksforgeeks.org/problems/two-sum/1
+  parseReference(text) {
+    return text.match(/geeksforgeeks\.org\/problems\/([\w-]+)/)?.[1] || null;
+  },
+
+  async fetchById(slug) {
+    return toProblem(slug, await fetchDetails(slug));
+  },
+
+  folder(problem) {
+    return `gfg/${problem.id}`;
+  },
+
+  promptTemplate: `You are a competitive programming expert solving GeeksforGeeks problems.
+
+Problem: {{title}}
+Difficulty: {{difficulty}}
+Topics: {{tags}}
+URL: {{url}}
+
+{{#description}}Problem Description:
+{{description}}{{/description}}{{^description}}Note: The full statement could not be loaded; infer the problem from its title and tags.{{/description}}
+
+Generate a complete, optimal {{language}} solution with:
+1. The function GeeksforGeeks expects, inside a \`Solution\` class where the platform uses one
+2. Detailed comments explaining the approach
+3. Time and space complexity analysis (state the expected complexity if the statement gives one)
+4. Handle all edge cases
+5. Style: {{style}}`
+};
@@ -0,0 +1,108 @@
+import { load } from "cheerio";
+import { MODES } from "../modes.js";
+import { fetchJson, hashString, preText, sectionText, seededRandom, STDIO_TEMPLATE, today } from "./common.js";
+
+// The REST API doesn't allow cross-origin requests, so browsers go through the
+// dev server's proxy (see vite.config.js); Node fetches it directly
+const API_URL = typeof window === "undefined"
+  ? "https://www.hackerrank.com/rest/contests/master"
+  : "/hackerrank/rest/contests/master";
+const TRACK = "algorithms";
+
+// HackerRank statements put each heading in its own element, followed by
+// its content, with samples as <pre> blocks under "Sample Input/Output".
+function parseStatement(html) {
+  const $ = load(html || "");
+  const sections = { Statement: [] };
+  let current = "Statement";
+
+  $("body").children().each((i, element) => {
+    const heading = $(element).is("h1, h2, h3, h4, strong, p") && $(element).text().trim();
+    if (heading && /^(Input Format|Constraints|Output Format|Sample (Input|Output)\s*\d*|Explanation\s*\d*)$/i.test(heading)) {
+      current = heading;
+      sections[current] = [];
+    } else {
+      sections[current].push(element);
+    }
+  });
+
+  const text = (pattern) => {
+    const name = Object.keys(sections).find((key) => pattern.test(key));
+    if (!name) return "";
+    const wrapper = $("<div></div>").append(sections[name].map((el) => $(el).clone()));
+    return sectionText($, wrapper);
+  };
+
+  const blocks = (pattern) => Object.entries(sections)
+    .filter(([name]) => pattern.test(name))
+    .map(([, elements]) => {
+      const pre = elements.find((el) => $(el).is("pre") || $(el).find("pre").length);
+      return pre ? preText($, $(pre).is("pre") ? pre : $(pre).find("pre").first()) : "";
+    });
+
+  const inputs = blocks(/^Sample Input/i);
+  const outputs = blocks(/^Sample Output/i);
+
+  return {
+    description: text(/^Statement$/),
+    inputSpec: text(/^Input Format$/i),
+    outputSpec: text(/^Output Format$/i),
+    constraints: text(/^Constraints$/i),
+    samples: inputs
+      .map((input, i) => ({ input: `${input}\n`, expected: outputs[i] || "" }))
+      .filter((sample) => sample.input.trim() && sample.expected)
+  };
+}
+
+async function toProblem(challenge) {
+  const problem = {
+    source: "hackerrank",
+    id: challenge.slug,
+    title: challenge.name,
+    difficulty: challenge.difficulty_name || "Unrated",
+    tags: [challenge.track?.name, challenge.track?.track_name].filter(Boolean),
+    url: `https://www.hackerrank.com/challenges/${challenge.slug}/problem`,
+    hints: [],
+    samples: [],
+    testKind: "stdio"
+  };
+
+  try {
+    const { model } = await fetchJson(`${API_URL}/challenges/${challenge.slug}`, "HackerRank");
+    Object.assign(problem, parseStatement(model.body_html));
+  } catch (error) {
+    problem.statementError = error.message;
+  }
+  return problem;
+}
+
+export const hackerrank = {
+  mode: MODES.HACKERRANK,
+  name: "HackerRank",
+  card: { icon: "💚", title: "HackerRank Daily", description: "Solve a daily HackerRank algorithm" },
+
+  async fetchDaily() {
+    // HackerRank has no daily problem, so a seeded offset into the track stands in for one
+    const listUrl = `${API_URL}/tracks/${TRACK}/challenges`;
+    const { total } = await fetchJson(`${listUrl}?offset=0&limit=1`, "HackerRank");
+    const offset = Math.floor(seededRandom(hashString(`${today()}hackerrank`))() * total);
+    const { models } = await fetchJson(`${listUrl}?offset=${offset}&limit=1`, "HackerRank");
+    return toProblem(models[0]);
+  },
+
+  // A challenge URL such as https://www.hackerrank.com/challenges/solve-me-first/problem
+  parseReference(text) {
+    return text.match(/hackerrank\.com\/(?:contests\/[\w-]+\/)?challenges\/([\w-]+)/)?.[1] || null;
+  },
+
+  async fetchById(slug) {
+    const { model } = await fetchJson(`${API_URL}/challenges/${slug}`, "HackerRank");
+    return toProblem(model);
+  },
+
+  folder(problem) {
+    return `hackerrank/${problem.id}`;
+  },
+
+  promptTemplate: STDIO_TEMPLATE
+};
@@ -0,0 +1,55 @@
+import { atcoder } from "./atcoder.js";
+import { codeforces } from "./codeforces.js";
+import { cses } from "./cses.js";
+import { gfg } from "./gfg.js";
+import { hackerrank } from "./hackerrank.js";
+import { leetcode } from "./leetcode.js";
+
+/**
+ * Problem sources, in the order their mode cards are shown.
+ *
+ * A source has:
+ * - `mode`, `name` and `card` ({ icon, title, description }) for the UI
+ * - `fetchDaily(options)`: today's problem, normalized (see below). `options`
+ *   carries the selected `language` plus any source-specific settings
+ *   (`filters` for Codeforces, `leetcodeUrl` for LeetCode's GraphQL endpoint).
+ * - `parseReference(text)`: problem id from a URL or id typed by the user,
+ *   or null if `text` doesn't refer to this source
+ * - `fetchById(id, options)`: that problem, normalized like `fetchDaily`
+ * - `folder(problem)`: the problem's folder in the DSA repository (see dsa.js)
+ * - `idFromPath(path)` (optional): problem id of a committed file
+ * - `promptTemplate`: the default system prompt template (see
+ *   core/templates.js); the reply format is added by core/prompts.js
+ *
+ * Normalized problems look like:
+ *   { source, id, title, difficulty, tags: string[], url, description,
+ *     inputSpec, outputSpec, constraints, note, timeLimit, memoryLimit,
+ *     hints: string[], starterCode, starterCodes, samples: [{ input, expected }],
+ *     testKind: "function" | "stdio" | null, statementError,
+ *     fetchedFrom, fetchErrors }
+ * where `starterCode` is the signature to keep in the selected language
+ * (`starterCodes`, when present, has it for every language), `testKind` says
+ * how samples are run (see verify.js) and `statementError` is set when only
+ * the problem's metadata could be loaded. Sources with several backends set
+ * `fetchedFrom` to the one that answered and `fetchErrors` to why the others
+ * failed.
+ */
+export const SOURCES = [leetcode, codeforces, atcoder, cses, gfg, hackerrank];
+
+export function getSource(mode) {
+  return SOURCES.find((source) => source.mode === mode) || null;
+}
+
+// Source and problem id for a URL/id typed by the user. `mode`'s own source
+// is tried first so ambiguous ids resolve to the selected platform.
+export function resolveReference(text, mode) {
+  const reference = text.trim();
+  const current = getSource(mode);
+  const ordered = current ? [current, ...SOURCES.filter((s) => s !== current)] : SOURCES;
+
+  for (const source of ordered) {
+    const id = source.parseReference(reference);
+    if (id) return { source, id };
+  }
+  return null;
+}
@@ -0,0 +1,86 @@
+import { LANGUAGES } from "../languages.js";
+import { MODES } from "../modes.js";
+import { getLeetCodeSamples } from "../verify.js";
+import { fetchDailyQuestion, fetchQuestion } from "./leetcodeClient.js";
+import { htmlToMarkdown } from "./markdown.js";
+
+function normalize(leetcodeData, language) {
+  const { question } = leetcodeData;
+  const description = htmlToMarkdown(question.content);
+  const snippets = question.codeSnippets || [];
+  const starterCodes = Object.fromEntries(Object.entries(LANGUAGES)
+    .map(([id, lang]) => [id, snippets.find((s) => s.langSlug === lang.leetcodeSlug)?.code || ""]));
+
+  return {
+    source: "leetcode",
+    id: question.questionFrontendId,
+    slug: question.titleSlug,
+    title: question.title,
+    difficulty: question.difficulty,
+    tags: (question.topicTags || []).map(t => 
+      typeof t === 'string' ? t : t.name
+    ),
+    url: `https://leetcode.com${leetcodeData.link}`,
+    description,
+    testCases: question.exampleTestcases || "Check LeetCode for test cases",
+    hints: question.hints || [],
+    starterCode: starterCodes[language] || "",
+    starterCodes,
+    samples: getLeetCodeSamples(description, question.exampleTestcases),
+    testKind: "function",
+    fetchedFrom: leetcodeData.fetchedFrom,
+    fetchErrors: leetcodeData.fetchErrors
+  };
+}
+
+export const leetcode = {
+  mode: MODES.LEETCODE,
+  name: "LeetCode",
+  card: { icon: "📊", title: "LeetCode Daily", description: "Solve today's LeetCode challenge" },
+
+  async fetchDaily({ language, leetcodeUrl }) {
+    return normalize(await fetchDailyQuestion({ graphqlUrl: leetcodeUrl }), language);
+  },
+
+  // A problem URL or a bare slug such as "two-sum"
+  parseReference(text) {
+    const url = text.match(/leetcode\.(?:com|cn)\/problems\/([a-z0-9-]+)/i);
+    if (url) return url[1].toLowerCase();
+    // At least two letters in a row, so Codeforces ids like "1520a" aren't taken for slugs
+    return /^(?=.*[a-z]{2})[a-z0-9]+(-[a-z0-9]+)*$/.test(text) ? text : null;
+  },
+
+  async fetchById(slug, { language, leetcodeUrl }) {
+    return normalize(await fetchQuestion(slug, { graphqlUrl: leetcodeUrl }), language);
+  },
+
+  folder(problem) {
+    const number = /^\d+$/.test(problem.id) ? `${problem.id.padStart(4, "0")}-` : "";
+    return `leetcode/${number}${problem.slug}`;
+  },
+
+  promptTemplate: `You are a competitive programming expert solving LeetCode problems.
+
+Problem: {{title}}
+Difficulty: {{difficulty}}
+Topics: {{tags}}
+
+Problem Description:
+{{description}}
+
+{{#testCases}}Test Cases:
+{{testCases}}{{/testCases}}
+
+{{#starterCode}}Starter Code (keep this exact signature):
+{{starterCode}}{{/starterCode}}
+
+{{#hints}}Hints:
+{{hints}}{{/hints}}
+
+Generate a complete, optimal {{language}} solution with:
+1. Detailed comments explaining the approach
+2. Time and space complexity analysis
+3. Clean, readable code following best practices
+4. Handle all edge cases
+5. Style: {{style}}`
+};
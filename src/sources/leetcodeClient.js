@@ -0,0 +1,224 @@
+import { readStored, writeStored } from "../storage.js";
+import { today } from "./common.js";
+
+// LeetCode problem data, from its GraphQL API first and a third-party mirror
+// second. Each backend is retried with backoff on network errors, timeouts,
+// 429s and 5xx responses; every answer is checked against the fields the app
+// relies on before use. The day's problem is cached until the next UTC day,
+// when LeetCode's daily challenge changes.
+
+export const LEETCODE_GRAPHQL_URL = "https://leetcode.com/graphql";
+
+// leetcode.com/graphql doesn't allow cross-origin requests, so browsers go
+// through a same-origin proxy (the dev server provides this one, see
+// vite.config.js); Node calls it directly
+export const DEFAULT_GRAPHQL_URL = typeof window === "undefined" ? LEETCODE_GRAPHQL_URL : "/leetcode-graphql";
+
+const ALFA_API_URL = "https://alfa-leetcode-api.onrender.com";
+const DAILY_CACHE_KEY = "LEETCODE_DAILY";
+const REQUEST_TIMEOUT_MS = 15000;
+const RETRIES = 3;
+const RETRY_DELAY_MS = 500;
+
+const QUESTION_FIELDS = `
+  questionId
+  questionFrontendId
+  title
+  titleSlug
+  difficulty
+  isPaidOnly
+  content
+  topicTags { name }
+  codeSnippets { langSlug code }
+  exampleTestcases
+  hints
+`;
+
+const DAILY_QUERY = `query questionOfToday {
+  activeDailyCodingChallengeQuestion {
+    date
+    link
+    question { ${QUESTION_FIELDS} }
+  }
+}`;
+
+const QUESTION_QUERY = `query questionData($titleSlug: String!) {
+  question(titleSlug: $titleSlug) { ${QUESTION_FIELDS} }
+}`;
+
+function failure(message, { retryable = false, notFound = false } = {}) {
+  return Object.assign(new Error(message), { retryable, notFound });
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function request(url, options, platform) {
+  let response;
+  try {
+    response = await fetch(url, { ...options, signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+  } catch (error) {
+    const reason = error.name === "TimeoutError" ? `timed out after ${REQUEST_TIMEOUT_MS / 1000}s` : error.message;
+    throw failure(`${platform} request failed: ${reason}`, { retryable: true });
+  }
+  if (!response.ok) {
+    throw failure(`${platform} returned ${response.status}`, { retryable: response.status === 429 || response.status >= 500 });
+  }
+  try {
+    return await response.json();
+  } catch {
+    throw failure(`${platform} returned something other than JSON`);
+  }
+}
+
+async function withRetries(task) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await task();
+    } catch (error) {
+      if (!error.retryable || attempt === RETRIES) throw error;
+      await sleep(RETRY_DELAY_MS * 2 ** (attempt - 1) * (1 + Math.random() / 2));
+    }
+  }
+}
+
+// The question with every field checked (and nullable lists defaulted), or
+// an error naming what is wrong
+function validateQuestion(question, slug) {
+  if (!question) {
+    throw failure(`LeetCode problem '${slug}' not found`, { notFound: true });
+  }
+  for (const field of ["questionFrontendId", "title", "titleSlug", "difficulty"]) {
+    if (typeof question[field] !== "string" || !question[field]) {
+      throw failure(`Unexpected response: '${field}' is missing`);
+    }
+  }
+  if (question.isPaidOnly && !question.content) {
+    throw failure(`'${question.titleSlug}' is a premium problem; its statement isn't public`, { notFound: true });
+  }
+  if (typeof question.content !== "string") {
+    throw failure("Unexpected response: 'content' is missing");
+  }
+  for (const field of ["topicTags", "codeSnippets", "hints"]) {
+    if (question[field] != null && !Array.isArray(question[field])) {
+      throw failure(`Unexpected response: '${field}' is not a list`);
+    }
+  }
+  return {
+    ...question,
+    topicTags: question.topicTags || [],
+    codeSnippets: question.codeSnippets || [],
+    exampleTestcases: question.exampleTestcases || "",
+    hints: question.hints || []
+  };
+}
+
+async function graphql(url, query, variables) {
+  const data = await request(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ query, variables })
+  }, "LeetCode");
+  if (data.errors?.length) {
+    throw failure(`LeetCode GraphQL error: ${data.errors.map((e) => e.message).join("; ")}`);
+  }
+  if (!data.data) {
+    throw failure("Unexpected response: no 'data'");
+  }
+  return data.data;
+}
+
+const graphqlBackend = {
+  name: "LeetCode GraphQL",
+
+  async daily({ graphqlUrl }) {
+    const { activeDailyCodingChallengeQuestion: daily } = await graphql(graphqlUrl, DAILY_QUERY);
+    if (!daily?.question || typeof daily.link !== "string") {
+      throw failure("Unexpected response: no daily challenge");
+    }
+    return { date: daily.date, link: daily.link, question: validateQuestion(daily.question, "daily") };
+  },
+
+  async question(slug, { graphqlUrl }) {
+    const { question } = await graphql(graphqlUrl, QUESTION_QUERY, { titleSlug: slug });
+    return { link: `/problems/${slug}/`, question: validateQuestion(question, slug) };
+  }
+};
+
+// The mirror's field names differ from LeetCode's
+function fromAlfa(data, slug) {
+  if (!data.questionTitle && !data.title) return null;
+  return {
+    questionId: data.questionId,
+    questionFrontendId: data.questionFrontendId || data.questionId,
+    title: data.questionTitle || data.title,
+    titleSlug: data.titleSlug || data.questionTitleSlug || slug,
+    difficulty: data.difficulty,
+    isPaidOnly: data.isPaidOnly,
+    content: data.question || data.content,
+    topicTags: (data.topicTags || []).map((tag) => (typeof tag === "string" ? { name: tag } : tag)),
+    codeSnippets: data.codeSnippets,
+    exampleTestcases: data.exampleTestCases || data.exampleTestcases,
+    hints: data.hints
+  };
+}
+
+const alfaBackend = {
+  name: "alfa-leetcode-api",
+
+  async daily() {
+    const data = await request(`${ALFA_API_URL}/daily`, {}, "alfa-leetcode-api");
+    const question = validateQuestion(fromAlfa(data), "daily");
+    return { date: data.date, link: `/problems/${question.titleSlug}/`, question };
+  },
+
+  async question(slug) {
+    const data = await request(`${ALFA_API_URL}/select?titleSlug=${encodeURIComponent(slug)}`, {}, "alfa-leetcode-api");
+    return { link: `/problems/${slug}/`, question: validateQuestion(fromAlfa(data, slug), slug) };
+  }
+};
+
+const BACKENDS = [graphqlBackend, alfaBackend];
+
+// Tries each backend in turn. The result carries `fetchedFrom` (the backend
+// that answered) and `fetchErrors` (why the ones before it failed). A problem
+// that doesn't exist isn't looked up anywhere else.
+async function fromBackends(load, what) {
+  const fetchErrors = [];
+  for (const backend of BACKENDS) {
+    try {
+      const result = await withRetries(() => load(backend));
+      return { ...result, fetchedFrom: backend.name, fetchErrors };
+    } catch (error) {
+      if (error.notFound) throw error;
+      fetchErrors.push(`${backend.name}: ${error.message}`);
+    }
+  }
+  throw new Error(`Unable to fetch ${what}. ${fetchErrors.join("; ")}`);
+}
+
+/**
+ * Today's daily challenge as `{ date, link, question, fetchedFrom, fetchErrors }`.
+ * `graphqlUrl` is the GraphQL endpoint, or a proxy forwarding to it
+ * (DEFAULT_GRAPHQL_URL when empty).
+ */
+export async function fetchDailyQuestion({ graphqlUrl } = {}) {
+  const cached = readStored(DAILY_CACHE_KEY);
+  if (cached?.day === today()) {
+    return { ...cached.daily, fetchedFrom: `cache (${cached.daily.fetchedFrom})`, fetchErrors: [] };
+  }
+
+  const daily = await fromBackends(
+    (backend) => backend.daily({ graphqlUrl: graphqlUrl || DEFAULT_GRAPHQL_URL }),
+    "the LeetCode daily challenge"
+  );
+  writeStored(DAILY_CACHE_KEY, { day: today(), daily: { ...daily, fetchErrors: [] } });
+  return daily;
+}
+
+// A problem by its slug, shaped like fetchDailyQuestion's result
+export async function fetchQuestion(slug, { graphqlUrl } = {}) {
+  return fromBackends(
+    (backend) => backend.question(slug, { graphqlUrl: graphqlUrl || DEFAULT_GRAPHQL_URL }),
+    `LeetCode problem '${slug}'`
+  );
+}
@@ -0,0 +1,143 @@
+import { load } from "cheerio";
+
+// HTML problem statements as Markdown, for prompts and committed READMEs.
+// Keeps what statements rely on: exponents and indices (10^5, a_i), emphasis,
+// inline code and code blocks, lists, tables, links and images.
+//
+// Code is swapped for placeholders while rendering so whitespace clean-up
+// never touches it, and nested list indentation uses a placeholder character
+// for the same reason.
+
+const BLOCK_TAGS = new Set(["p", "div", "section", "article", "header", "footer", "figure", "figcaption", "dl", "dt", "dd"]);
+const HEADINGS = { h1: 1, h2: 2, h3: 3, h4: 4, h5: 5, h6: 6 };
+const INDENT = "\u0001";
+const CODE = "\u0000";
+
+// "10^5" and "a_i", with parentheses when the script is more than one term
+function script(marker, text) {
+  const value = text.trim();
+  if (!value) return "";
+  return /^-?[\w.]+$/.test(value) ? `${marker}${value}` : `${marker}(${value})`;
+}
+
+// Wraps the text in `marker`s, keeping surrounding spaces outside
+function emphasis(marker, text) {
+  const [, before, body, after] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  return body ? `${before}${marker}${body}${marker}${after}` : text;
+}
+
+function inlineCode(text) {
+  const body = text.trim();
+  if (!body) return "";
+  return body.includes("`") ? `\`\` ${body} \`\`` : `\`${body}\``;
+}
+
+function codeBlock(text) {
+  const body = text.replace(/^\n+|\s+$/g, "");
+  const fence = body.includes("```") ? "````" : "```";
+  return `${fence}\n${body}\n${fence}`;
+}
+
+// Collapses runs of spaces, trims every line and keeps at most one blank line
+function tidy(text) {
+  return text
+    .split("\n")
+    .map((line) => line.replace(/[ \t\u00a0]+/g, " ").trim())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+function list($, node, context) {
+  let number = Number($(node).attr("start")) || 1;
+  return $(node).children("li").get().map((item) => {
+    const marker = node.name === "ol" ? `${number++}. ` : "- ";
+    const indent = INDENT.repeat(marker.length);
+    const body = tidy(renderAll($, item.children, context));
+    return marker + body.split("\n").map((line, i) => (i === 0 || !line ? line : indent + line)).join("\n");
+  }).join("\n");
+}
+
+function table($, node, context) {
+  const rows = $(node).find("tr").get().map((row) => $(row).children("th, td").get()
+    .map((cell) => tidy(renderAll($, cell.children, context)).replace(/\n+/g, " ").replace(/\|/g, "\\|")));
+  if (rows.length === 0) return "";
+
+  const width = Math.max(...rows.map((row) => row.length));
+  const line = (cells) => `| ${[...cells, ...Array(width - cells.length).fill("")].join(" | ")} |`;
+  return [line(rows[0]), line(Array(width).fill("---")), ...rows.slice(1).map(line)].join("\n");
+}
+
+// Stores finished code and returns its placeholder
+function stash(context, code) {
+  context.code.push(code);
+  return `${CODE}${context.code.length - 1}${CODE}`;
+}
+
+function renderAll($, nodes, context) {
+  return nodes.map((node) => render($, node, context)).join("");
+}
+
+// `context.mode` is "text", or "code"/"pre" inside inline code and code
+// blocks, where only scripts and line breaks are kept
+function render($, node, context) {
+  if (node.type === "text") {
+    return context.mode === "pre" ? node.data : node.data.replace(/\s+/g, " ");
+  }
+  if (node.type !== "tag") return "";
+
+  const tag = node.name;
+  const children = () => renderAll($, node.children, context);
+
+  if (tag === "br") return "\n";
+  if (tag === "sup") return script("^", children());
+  if (tag === "sub") return script("_", children());
+  if (context.mode !== "text") return children();
+
+  if (HEADINGS[tag]) return `\n\n${"#".repeat(HEADINGS[tag])} ${tidy(children())}\n\n`;
+  if (BLOCK_TAGS.has(tag)) return `\n\n${children()}\n\n`;
+
+  switch (tag) {
+    case "strong":
+    case "b":
+      return emphasis("**", children());
+    case "em":
+    case "i":
+      return emphasis("*", children());
+    case "code":
+    case "tt":
+    case "kbd":
+      return stash(context, inlineCode(renderAll($, node.children, { ...context, mode: "code" })));
+    case "pre":
+      return `\n\n${stash(context, codeBlock(renderAll($, node.children, { ...context, mode: "pre" })))}\n\n`;
+    case "a": {
+      const text = children().trim();
+      const href = $(node).attr("href");
+      return href && text ? `[${text}](${href})` : text;
+    }
+    case "img": {
+      const src = $(node).attr("src");
+      return src ? `![${$(node).attr("alt") || ""}](${src})` : "";
+    }
+    case "ul":
+    case "ol":
+      return `\n\n${list($, node, context)}\n\n`;
+    case "table":
+      return `\n\n${table($, node, context)}\n\n`;
+    case "blockquote":
+      return `\n\n${tidy(children()).split("\n").map((line) => `> ${line}`.trimEnd()).join("\n")}\n\n`;
+    case "hr":
+      return "\n\n---\n\n";
+    default:
+      return children();
+  }
+}
+
+export function htmlToMarkdown(html) {
+  if (!html) return "";
+  const $ = load(html, null, false);
+  const context = { mode: "text", code: [] };
+  return tidy(renderAll($, $.root().contents().get(), context))
+    .replaceAll(INDENT, " ")
+    .replace(new RegExp(`${CODE}(\\d+)${CODE}`, "g"), (match, i) => context.code[i]);
+}
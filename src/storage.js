@@ -0,0 +1,24 @@
+// JSON values kept in localStorage in the browser, and in memory under Node
+// (the CLI), where there is no localStorage.
+
+const memory = new Map();
+
+// The value stored under `key`, or `fallback` when there is none or it
+// can't be parsed
+export function readStored(key, fallback = null) {
+  if (typeof localStorage === "undefined") return memory.has(key) ? memory.get(key) : fallback;
+  try {
+    const text = localStorage.getItem(key);
+    return text === null ? fallback : JSON.parse(text);
+  } catch {
+    return fallback;
+  }
+}
+
+export function writeStored(key, value) {
+  if (typeof localStorage === "undefined") {
+    memory.set(key, value);
+  } else {
+    localStorage.setItem(key, JSON.stringify(value));
+  }
+}
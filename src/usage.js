@@ -0,0 +1,206 @@
+// Token usage of model calls, totalled per UTC day and model, for the usage
+// panel's daily and monthly totals and for budgets that stop runs once
+// they're used up. Kept in localStorage (in memory under Node).
+//
+// Each call is reported as `{ provider, model, inputTokens, outputTokens }`;
+// totals look like `{ requests, inputTokens, outputTokens, cost, unpriced }`
+// where `cost` is the estimated USD cost of the calls with a known price and
+// `unpriced` counts the calls without one.
+
+import { readStored, writeStored } from "./storage.js";
+
+const STORAGE_KEY = "LLM_USAGE";
+// Days older than this are dropped when usage is recorded
+const KEEP_DAYS = 400;
+// Share of a budget at which runs start warning
+export const BUDGET_WARNING = 0.8;
+
+// List prices in USD per million tokens at the time of writing. Models are
+// matched by the longest prefix, so dated and preview versions share their
+// family's price; costs are estimates only.
+export const PRICES = {
+  "gemini-2.5-pro": { input: 1.25, output: 10 },
+  "gemini-2.5-flash": { input: 0.3, output: 2.5 },
+  "gemini-2.5-flash-lite": { input: 0.1, output: 0.4 },
+  "gemini-2.0-flash": { input: 0.1, output: 0.4 },
+  "gemini-2.0-flash-lite": { input: 0.075, output: 0.3 },
+  "gemini-1.5-pro": { input: 1.25, output: 5 },
+  "gemini-1.5-flash": { input: 0.075, output: 0.3 },
+  "gpt-5": { input: 1.25, output: 10 },
+  "gpt-5-mini": { input: 0.25, output: 2 },
+  "gpt-5-nano": { input: 0.05, output: 0.4 },
+  "gpt-4.1": { input: 2, output: 8 },
+  "gpt-4.1-mini": { input: 0.4, output: 1.6 },
+  "gpt-4.1-nano": { input: 0.1, output: 0.4 },
+  "gpt-4o": { input: 2.5, output: 10 },
+  "gpt-4o-mini": { input: 0.15, output: 0.6 },
+  "o3-mini": { input: 1.1, output: 4.4 },
+  "o4-mini": { input: 1.1, output: 4.4 },
+  "claude-opus-4": { input: 15, output: 75 },
+  "claude-sonnet-4": { input: 3, output: 15 },
+  "claude-haiku-4-5": { input: 1, output: 5 },
+  "claude-3-7-sonnet": { input: 3, output: 15 },
+  "claude-3-5-haiku": { input: 0.8, output: 4 }
+};
+
+// Limits checked before each run; empty means no limit
+export const DEFAULT_BUDGETS = {
+  dailyRequests: "",
+  dailyTokens: "",
+  monthlyTokens: "",
+  monthlyCost: ""
+};
+
+export const BUDGET_LABELS = {
+  dailyRequests: "Requests per day",
+  dailyTokens: "Tokens per day",
+  monthlyTokens: "Tokens per month",
+  monthlyCost: "Cost per month (USD)"
+};
+
+const emptyTotals = () => ({ requests: 0, inputTokens: 0, outputTokens: 0, cost: 0, unpriced: 0 });
+
+// Estimated USD cost of a call, or null when the model's price is unknown.
+// Local models are free.
+export function estimateCost({ provider, model, inputTokens, outputTokens }) {
+  if (provider === "local") return 0;
+  const name = (model || "").toLowerCase().replace(/^models\//, "");
+  const family = Object.keys(PRICES)
+    .filter((prefix) => name.startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+  if (!family) return null;
+  const price = PRICES[family];
+  return (inputTokens * price.input + outputTokens * price.output) / 1e6;
+}
+
+// `totals` with one more call (or another totals object) added
+export function addToTotals(totals, entry) {
+  const sum = { ...emptyTotals(), ...totals };
+  const cost = "cost" in entry ? entry.cost : estimateCost(entry);
+  return {
+    requests: sum.requests + (entry.requests ?? 1),
+    inputTokens: sum.inputTokens + entry.inputTokens,
+    outputTokens: sum.outputTokens + entry.outputTokens,
+    cost: sum.cost + (cost || 0),
+    unpriced: sum.unpriced + (entry.unpriced ?? (cost === null ? 1 : 0))
+  };
+}
+
+const dayOf = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Recorded usage: `{ [day]: { [provider/model]: totals } }` with days as
+ * YYYY-MM-DD in UTC.
+ */
+export function loadUsage() {
+  return readStored(STORAGE_KEY, {});
+}
+
+// Records one call and returns the updated usage
+export function addUsage(entry, date = new Date()) {
+  const store = readStored(STORAGE_KEY, {});
+  const day = dayOf(date);
+  const oldest = dayOf(new Date(date.getTime() - KEEP_DAYS * 864e5));
+  const key = `${entry.provider}/${entry.model}`;
+
+  const kept = Object.fromEntries(Object.entries(store).filter(([d]) => d >= oldest));
+  const models = { ...kept[day] };
+  models[key] = addToTotals(models[key], entry);
+  const updated = { ...kept, [day]: models };
+  writeStored(STORAGE_KEY, updated);
+  return updated;
+}
+
+export function clearUsage() {
+  writeStored(STORAGE_KEY, {});
+  return {};
+}
+
+// Replaces the recorded usage, e.g. with what the CLI saved on its last run
+export function restoreUsage(usage) {
+  writeStored(STORAGE_KEY, usage || {});
+  return loadUsage();
+}
+
+/**
+ * Today's and this month's totals, overall and per model (`models` is
+ * `[{ key, today, month }]`, busiest first this month).
+ */
+export function usageTotals(usage, date = new Date()) {
+  const day = dayOf(date);
+  const month = day.slice(0, 7);
+  let todayTotals = emptyTotals();
+  let monthTotals = emptyTotals();
+  const models = {};
+
+  for (const [d, byModel] of Object.entries(usage)) {
+    if (!d.startsWith(month)) continue;
+    for (const [key, totals] of Object.entries(byModel)) {
+      models[key] ??= { key, today: emptyTotals(), month: emptyTotals() };
+      models[key].month = addToTotals(models[key].month, totals);
+      monthTotals = addToTotals(monthTotals, totals);
+      if (d === day) {
+        models[key].today = addToTotals(models[key].today, totals);
+        todayTotals = addToTotals(todayTotals, totals);
+      }
+    }
+  }
+
+  const tokens = (totals) => totals.inputTokens + totals.outputTokens;
+  return {
+    today: todayTotals,
+    month: monthTotals,
+    models: Object.values(models).sort((a, b) => tokens(b.month) - tokens(a.month))
+  };
+}
+
+/**
+ * Each budget that is set, as `{ id, label, used, limit, share }` where
+ * `share` is the used fraction. Runs are blocked once a share reaches 1.
+ */
+export function budgetStatus(totals, budgets) {
+  const used = {
+    dailyRequests: totals.today.requests,
+    dailyTokens: totals.today.inputTokens + totals.today.outputTokens,
+    monthlyTokens: totals.month.inputTokens + totals.month.outputTokens,
+    monthlyCost: totals.month.cost
+  };
+  return Object.keys(DEFAULT_BUDGETS)
+    .filter((id) => Number(budgets[id]) > 0)
+    .map((id) => ({ id, label: BUDGET_LABELS[id], used: used[id], limit: Number(budgets[id]), share: used[id] / Number(budgets[id]) }));
+}
+
+/**
+ * The budgets at BUDGET_WARNING or more of their limit, for warnings. Throws
+ * once any budget is used up; the pipeline calls this before every model
+ * request, repairs included.
+ */
+export function checkBudgets(budgets = {}, date = new Date()) {
+  const statuses = budgetStatus(usageTotals(loadUsage(), date), budgets);
+  const exhausted = statuses.filter((status) => status.share >= 1);
+  if (exhausted.length > 0) {
+    throw new Error(`Usage budget reached (${exhausted.map(describeBudget).join("; ")})`);
+  }
+  return statuses.filter((status) => status.share >= BUDGET_WARNING);
+}
+
+// "Tokens per day: 9,500 of 10,000 (95%)"
+export function describeBudget({ id, label, used, limit, share }) {
+  const format = id === "monthlyCost" ? formatCost : (n) => n.toLocaleString();
+  return `${label}: ${format(used)} of ${format(limit)} (${Math.round(share * 100)}%)`;
+}
+
+export function formatCost(cost) {
+  return `$${cost.toFixed(cost > 0 && cost < 0.01 ? 4 : 2)}`;
+}
+
+// "1,234 tokens (1,000 in, 234 out), ~$0.0012" for logs and history, from
+// totals or a single call
+export function formatUsage(usage) {
+  const totals = "requests" in usage ? usage : addToTotals({}, usage);
+  const tokens = totals.inputTokens + totals.outputTokens;
+  const cost = totals.unpriced === totals.requests
+    ? "cost unknown"
+    : `~${formatCost(totals.cost)}${totals.unpriced ? " + unpriced calls" : ""}`;
+  return `${tokens.toLocaleString()} tokens (${totals.inputTokens.toLocaleString()} in, ${totals.outputTokens.toLocaleString()} out), ${cost}`;
+}
@@ -0,0 +1,122 @@
+// Credential storage. Secrets (provider API keys and the GitHub token) are
+// kept apart from ordinary settings and stored one of three ways:
+// - plain: in localStorage as-is, the original behaviour
+// - vault: encrypted with a passphrase (PBKDF2 + AES-GCM) and unlocked once
+//   per page session; the passphrase itself is never stored
+// - session: only in memory, gone on reload
+//
+// Secrets look like `{ githubToken, apiKeys: { [provider]: key } }`.
+
+export const CREDENTIAL_STORAGE = {
+  PLAIN: "plain",
+  VAULT: "vault",
+  SESSION: "session"
+};
+
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+const VAULT_KEY = "CREDENTIAL_VAULT";
+const VAULT_VERSION = 1;
+const ITERATIONS = 310000;
+
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+}
+
+async function deriveKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey("raw", new TextEncoder().encode(passphrase), "PBKDF2", false, ["deriveKey"]);
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", salt, iterations, hash: "SHA-256" },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+
+// Splits per-provider settings into the API keys and everything else
+export function extractSecrets(providerSettings, githubToken = "") {
+  const settings = {};
+  const apiKeys = {};
+  for (const [id, { apiKey, ...rest }] of Object.entries(providerSettings)) {
+    settings[id] = rest;
+    if (apiKey) apiKeys[id] = apiKey;
+  }
+  return { settings, secrets: { githubToken, apiKeys } };
+}
+
+// Puts the API keys from `secrets` back into per-provider settings
+export function applySecrets(providerSettings, secrets) {
+  const merged = { ...providerSettings };
+  for (const [id, apiKey] of Object.entries(secrets.apiKeys || {})) {
+    merged[id] = { ...merged[id], apiKey };
+  }
+  return merged;
+}
+
+export function hasVault() {
+  return localStorage.getItem(VAULT_KEY) !== null;
+}
+
+// Encrypts `secrets` under the unlocked vault `handle` ({ key, salt, iterations }),
+// with a fresh IV on every write
+export async function saveVault(secrets, handle) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv },
+    handle.key,
+    new TextEncoder().encode(JSON.stringify(secrets))
+  );
+  localStorage.setItem(VAULT_KEY, JSON.stringify({
+    version: VAULT_VERSION,
+    iterations: handle.iterations,
+    salt: toBase64(handle.salt),
+    iv: toBase64(iv),
+    data: toBase64(data)
+  }));
+}
+
+// Creates (or replaces) the vault with a new passphrase and salt. Returns the
+// handle to keep for later writes this session.
+export async function createVault(secrets, passphrase) {
+  if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const handle = { key: await deriveKey(passphrase, salt, ITERATIONS), salt, iterations: ITERATIONS };
+  await saveVault(secrets, handle);
+  return handle;
+}
+
+// Decrypts the stored vault. Returns `{ secrets, handle }`.
+export async function unlockVault(passphrase) {
+  const stored = JSON.parse(localStorage.getItem(VAULT_KEY) || "null");
+  if (!stored) {
+    throw new Error("No credential vault is stored");
+  }
+  if (stored.version !== VAULT_VERSION) {
+    throw new Error(`Unsupported vault version ${stored.version}`);
+  }
+
+  const salt = fromBase64(stored.salt);
+  const key = await deriveKey(passphrase, salt, stored.iterations);
+  let plaintext;
+  try {
+    plaintext = await crypto.subtle.decrypt({ name: "AES-GCM", iv: fromBase64(stored.iv) }, key, fromBase64(stored.data));
+  } catch {
+    // AES-GCM authentication fails for a wrong passphrase or tampered data
+    throw new Error("Wrong passphrase");
+  }
+  return {
+    secrets: JSON.parse(new TextDecoder().decode(plaintext)),
+    handle: { key, salt, iterations: stored.iterations }
+  };
+}
+
+export function clearVault() {
+  localStorage.removeItem(VAULT_KEY);
+}
@@ -0,0 +1,195 @@
+// Runs generated solutions against sample tests, inside a Web Worker by default
+
+const VERIFIABLE_LANGUAGES = ["javascript", "python"];
+const TEST_TIMEOUT_MS = 5000;
+// Loading Pyodide on first use can take a while
+const STARTUP_TIMEOUT_MS = 60000;
+
+export function canVerify(language) {
+  return VERIFIABLE_LANGUAGES.includes(language);
+}
+
+function parseValue(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text.trim();
+  }
+}
+
+function valuesEqual(a, b) {
+  if (typeof a === "number" && typeof b === "number") {
+    return Math.abs(a - b) <= 1e-5 * Math.max(1, Math.abs(b));
+  }
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, i) => valuesEqual(item, b[i]));
+  }
+  if (a && b && typeof a === "object" && typeof b === "object") {
+    const keys = Object.keys(b);
+    return Object.keys(a).length === keys.length && keys.every((key) => valuesEqual(a[key], b[key]));
+  }
+  return a === b;
+}
+
+// Whitespace-insensitive token comparison, with a tolerance for floating point answers
+export function outputsMatch(actual, expected) {
+  const actualTokens = actual.trim().split(/\s+/);
+  const expectedTokens = expected.trim().split(/\s+/);
+  if (actualTokens.length !== expectedTokens.length) return false;
+
+  return actualTokens.every((token, i) => {
+    const want = expectedTokens[i];
+    if (token === want) return true;
+    const a = Number(token);
+    const b = Number(want);
+    return token !== "" && !Number.isNaN(a) && !Number.isNaN(b) && valuesEqual(a, b);
+  });
+}
+
+// Pairs LeetCode's `exampleTestcases` (one argument per line) with the
+// "Output:" lines of the cleaned problem statement.
+export function getLeetCodeSamples(description, exampleTestcases) {
+  const outputs = [...(description || "").matchAll(/Output:?\**\s*`?([^\n`]+)`?/g)].map((m) => m[1].trim());
+  const lines = (exampleTestcases || "").split("\n").map((line) => line.trim()).filter(Boolean);
+
+  if (outputs.length === 0 || lines.length === 0 || lines.length % outputs.length !== 0) {
+    return [];
+  }
+
+  const argCount = lines.length / outputs.length;
+  return outputs.map((expected, i) => ({
+    input: lines.slice(i * argCount, (i + 1) * argCount),
+    expected
+  }));
+}
+
+// Finds the function LeetCode will call, preferring the official starter snippet
+export function findEntryPoint(language, code, snippet = "") {
+  const patterns = {
+    javascript: [/var\s+(\w+)\s*=\s*function/, /(?:const|let|var)\s+(\w+)\s*=\s*(?:async\s*)?\(/, /function\s+(\w+)\s*\(/],
+    python: [/class\s+Solution\b[\s\S]*?def\s+(?!_)(\w+)\s*\(\s*self/]
+  };
+
+  for (const source of [snippet, code]) {
+    for (const pattern of patterns[language] || []) {
+      const match = source && source.match(pattern);
+      if (match) return match[1];
+    }
+  }
+  return null;
+}
+
+function createWorkerRunner() {
+  let worker = null;
+  let nextId = 0;
+
+  const spawn = () => {
+    worker = new Worker(new URL("./verify.worker.js", import.meta.url));
+  };
+
+  const run = (message, timeout) => {
+    if (!worker) spawn();
+    const id = nextId++;
+
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        // A runaway solution can only be stopped by killing the worker
+        worker.terminate();
+        worker = null;
+        resolve({ ok: false, error: `Timed out after ${timeout / 1000}s` });
+      }, timeout);
+
+      worker.onmessage = ({ data }) => {
+        if (data.id !== id) return;
+        clearTimeout(timer);
+        resolve(data);
+      };
+      worker.onerror = (event) => {
+        clearTimeout(timer);
+        event.preventDefault();
+        resolve({ ok: false, error: event.message || "Worker crashed" });
+      };
+      worker.postMessage({ ...message, id });
+    });
+  };
+
+  const dispose = () => {
+    if (worker) worker.terminate();
+    worker = null;
+  };
+
+  return { run, dispose };
+}
+
+/**
+ * Syntax-checks `code` and runs it against `tests`.
+ *
+ * `kind` is "function" for LeetCode-style tests (input is an array of JSON
+ * arguments passed to `entry`) or "stdio" for Codeforces-style tests (input
+ * is fed to stdin and stdout is compared).
+ *
+ * `createRunner` returns the sandbox: `{ run(message, timeout), dispose() }`,
+ * where `run` resolves to the worker protocol's `{ ok, output | error }`.
+ * It defaults to a Web Worker; the CLI passes a Node equivalent.
+ *
+ * Returns `{ passed, syntaxError, results }` where each result is
+ * `{ index, passed, input, expected, actual, error }`.
+ */
+export async function verifySolution({ language, code, kind, entry, tests, createRunner = createWorkerRunner }) {
+  const runner = createRunner();
+
+  try {
+    const check = await runner.run({ language, kind: "check", code }, STARTUP_TIMEOUT_MS);
+    if (!check.ok) {
+      return { passed: false, syntaxError: check.error, results: [] };
+    }
+
+    if (kind === "function" && !entry) {
+      return { passed: false, syntaxError: "Could not find the solution function to call", results: [] };
+    }
+
+    const results = [];
+    for (const [index, test] of tests.entries()) {
+      const response = await runner.run({ language, kind, code, entry, input: test.input }, TEST_TIMEOUT_MS);
+      const actual = response.ok ? response.output : null;
+      const passed = response.ok && (kind === "function"
+        ? valuesEqual(parseValue(actual), parseValue(test.expected))
+        : outputsMatch(actual, test.expected));
+
+      results.push({
+        index,
+        passed,
+        input: test.input,
+        expected: test.expected,
+        actual,
+        error: response.ok ? null : response.error
+      });
+    }
+
+    return { passed: results.every((r) => r.passed), syntaxError: null, results };
+  } finally {
+    runner.dispose();
+  }
+}
+
+// Linked lists, trees and in-place (void) answers need LeetCode's own
+// serializers, so only plain value-in/value-out signatures are run.
+export function hasPlainSignature(source) {
+  return !/\b(ListNode|TreeNode|Node)\b|@return\s*\{void\}|->\s*None\b/.test(source || "");
+}
+
+// Plain-text failure report, suitable for feeding back to the model
+export function describeFailure(verification) {
+  if (verification.syntaxError) {
+    return `The code failed to compile/load:\n${verification.syntaxError}`;
+  }
+
+  return verification.results
+    .filter((r) => !r.passed)
+    .map((r) => {
+      const input = Array.isArray(r.input) ? r.input.join("\n") : r.input;
+      const outcome = r.error ? `Runtime error:\n${r.error}` : `Actual output:\n${(r.actual || "").trim()}`;
+      return `Test ${r.index + 1} failed.\nInput:\n${input}\nExpected output:\n${r.expected}\n${outcome}`;
+    })
+    .join("\n\n");
+}
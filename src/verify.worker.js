@@ -0,0 +1,181 @@
+// Sandbox for running generated solutions against sample tests.
+// JavaScript is evaluated directly; Python runs on Pyodide, loaded on first use.
+/* global importScripts, loadPyodide */
+
+const PYODIDE_URL = "https://cdn.jsdelivr.net/pyodide/v0.26.4/full/";
+
+let pyodidePromise = null;
+
+function loadPython() {
+  if (!pyodidePromise) {
+    importScripts(`${PYODIDE_URL}pyodide.js`);
+    pyodidePromise = loadPyodide({ indexURL: PYODIDE_URL });
+  }
+  return pyodidePromise;
+}
+
+// Minimal stand-ins for the Node APIs competitive programming code reads stdin with
+function createNodeShims(input, write) {
+  const listeners = { stdin: {}, readline: [] };
+  const lines = input.split(/\r?\n/);
+  if (lines[lines.length - 1] === "") lines.pop();
+
+  const stdin = {
+    setEncoding() {},
+    resume() {},
+    on(event, handler) {
+      (listeners.stdin[event] ||= []).push(handler);
+      return stdin;
+    }
+  };
+
+  const readline = {
+    createInterface() {
+      const rl = {
+        handlers: {},
+        on(event, handler) {
+          (rl.handlers[event] ||= []).push(handler);
+          return rl;
+        },
+        close() {},
+        async *[Symbol.asyncIterator]() {
+          yield* lines;
+        }
+      };
+      listeners.readline.push(rl);
+      return rl;
+    }
+  };
+
+  const modules = {
+    fs: {
+      readFileSync: () => input
+    },
+    readline
+  };
+
+  const process = {
+    stdin,
+    stdout: { write: (chunk) => write(String(chunk)) },
+    argv: [],
+    env: {},
+    exit() {}
+  };
+
+  const require = (name) => {
+    const module = modules[name.replace(/^node:/, "")];
+    if (!module) throw new Error(`Module '${name}' is not available in the sandbox`);
+    return module;
+  };
+
+  const feed = () => {
+    (listeners.stdin.data || []).forEach((handler) => handler(input));
+    (listeners.stdin.end || []).forEach((handler) => handler());
+    listeners.readline.forEach((rl) => {
+      lines.forEach((line) => (rl.handlers.line || []).forEach((handler) => handler(line)));
+      (rl.handlers.close || []).forEach((handler) => handler());
+    });
+  };
+
+  return { require, process, feed };
+}
+
+function createConsole(write) {
+  const format = (args) => args.map((a) => (typeof a === "string" ? a : JSON.stringify(a))).join(" ");
+  return {
+    log: (...args) => write(`${format(args)}\n`),
+    info: (...args) => write(`${format(args)}\n`),
+    error() {},
+    warn() {},
+    debug() {}
+  };
+}
+
+async function runJavaScript({ kind, code, entry, input }) {
+  let output = "";
+  const write = (chunk) => {
+    output += chunk;
+  };
+
+  if (kind === "check") {
+    new Function(code);
+    return "";
+  }
+
+  if (kind === "function") {
+    const console = createConsole(() => {});
+    const fn = new Function("console", `${code}\nreturn typeof ${entry} !== "undefined" ? ${entry} : undefined;`)(console);
+    if (typeof fn !== "function") {
+      throw new Error(`Function '${entry}' is not defined`);
+    }
+    const args = input.map((arg) => JSON.parse(arg));
+    const result = await fn(...args);
+    return JSON.stringify(result === undefined ? null : result);
+  }
+
+  const { require, process, feed } = createNodeShims(input, write);
+  await new Function("require", "process", "console", code)(require, process, createConsole(write));
+  feed();
+  // Let promise- and timer-based readers flush their output
+  await new Promise((resolve) => setTimeout(resolve, 0));
+  return output;
+}
+
+const PYTHON_PRELUDE = `from typing import *
+from collections import *
+from heapq import *
+from bisect import *
+from functools import *
+from itertools import *
+import math, collections, heapq, bisect, functools, itertools, string, re`;
+
+const PYTHON_RUNNER = `
+import sys, io, json
+
+_stdin, _stdout = sys.stdin, sys.stdout
+# A real text stream over bytes, so sys.stdin.buffer works as it does on a judge
+sys.stdin = io.TextIOWrapper(io.BytesIO((__gx_input if __gx_kind == "stdio" else "").encode()), encoding="utf-8")
+sys.stdout = io.StringIO()
+try:
+    if __gx_kind == "check":
+        compile(__gx_code, "solution.py", "exec")
+        __gx_output = ""
+    elif __gx_kind == "function":
+        _ns = {"__name__": "solution"}
+        exec(__gx_prelude, _ns)
+        exec(__gx_code, _ns)
+        _args = [json.loads(a) for a in json.loads(__gx_input)]
+        _result = getattr(_ns["Solution"](), __gx_entry)(*_args)
+        __gx_output = json.dumps(_result)
+    else:
+        exec(__gx_code, {"__name__": "__main__"})
+        __gx_output = sys.stdout.getvalue()
+finally:
+    sys.stdin, sys.stdout = _stdin, _stdout
+__gx_output
+`;
+
+async function runPython({ kind, code, entry, input }) {
+  const pyodide = await loadPython();
+  pyodide.globals.set("__gx_kind", kind);
+  pyodide.globals.set("__gx_code", code);
+  pyodide.globals.set("__gx_entry", entry || "");
+  pyodide.globals.set("__gx_input", kind === "function" ? JSON.stringify(input) : input || "");
+  pyodide.globals.set("__gx_prelude", PYTHON_PRELUDE);
+  return pyodide.runPythonAsync(PYTHON_RUNNER);
+}
+
+const RUNNERS = {
+  javascript: runJavaScript,
+  python: runPython
+};
+
+self.onmessage = async ({ data }) => {
+  const { id, language } = data;
+  try {
+    const output = await RUNNERS[language](data);
+    self.postMessage({ id, ok: true, output });
+  } catch (error) {
+    self.postMessage({ id, ok: false, error: `${error.name || "Error"}: ${error.message}` });
+  }
+};
@@ -0,0 +1,60 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { resolveSettings } from "../src/cli/config.js";
+import { MODES } from "../src/modes.js";
+
+const env = { GITHUB_TOKEN: "ghp_token", GEMINI_API_KEY: "gemini-key" };
+
+test("fills in defaults and reads secrets from the environment", () => {
+  const settings = resolveSettings({}, {}, env);
+  assert.equal(settings.mode, MODES.LEETCODE);
+  assert.deepEqual(settings.languages, ["python"]);
+  assert.equal(settings.provider, "gemini");
+  assert.equal(settings.llm.apiKey, "gemini-key");
+  assert.equal(settings.token, "ghp_token");
+  assert.equal(settings.host, "github");
+  assert.equal(settings.verifyTests, true);
+  assert.equal(settings.pullRequest, false);
+});
+
+test("command-line options win over the config file", () => {
+  const config = { mode: "cses", languages: ["cpp"], provider: "local", repo: "DSA", repository: { owner: "org", visibility: "public" } };
+  const settings = resolveSettings(config, { mode: "codeforces", lang: "Python, cpp,python", owner: "me", "no-verify": true }, env);
+  assert.equal(settings.mode, MODES.CODEFORCE);
+  assert.deepEqual(settings.languages, ["python", "cpp"]);
+  assert.equal(settings.provider, "local");
+  assert.equal(settings.repoOverride, "DSA");
+  assert.equal(settings.repoSettings.owner, "me");
+  assert.equal(settings.repoSettings.visibility, "public");
+  assert.equal(settings.verifyTests, false);
+});
+
+test("rejects unknown names and missing secrets", () => {
+  assert.throws(() => resolveSettings({ mode: "topcoder" }, {}, env), /Unknown mode 'topcoder'/);
+  assert.throws(() => resolveSettings({}, { lang: "cobol" }, env), /Unknown language 'cobol'/);
+  assert.throws(() => resolveSettings({}, { provider: "mistral" }, env), /Unknown provider 'mistral'/);
+  assert.throws(() => resolveSettings({}, { host: "bitbucket" }, env), /Unknown host 'bitbucket'/);
+  assert.throws(() => resolveSettings({}, { "on-existing": "skip" }, env), /Unknown --on-existing 'skip'/);
+  assert.throws(() => resolveSettings({}, {}, { GITHUB_TOKEN: "ghp_token" }), /GEMINI_API_KEY/);
+  assert.throws(() => resolveSettings({}, {}, { GEMINI_API_KEY: "key" }), /GITHUB_TOKEN is required/);
+  assert.throws(() => resolveSettings({ mode: "custom" }, {}, env), /prompt is required/);
+});
+
+test("dry runs and local models need no secrets", () => {
+  const settings = resolveSettings({ provider: "local" }, { "dry-run": true }, {});
+  assert.equal(settings.dryRun, true);
+  assert.equal(settings.token, "");
+});
+
+test("takes the host token and server URL for other hosts", () => {
+  assert.throws(() => resolveSettings({}, { host: "gitea" }, { ...env, GITEA_TOKEN: "t" }), /needs the server URL/);
+  const settings = resolveSettings({ hostUrl: "https://git.example.com" }, { host: "gitea" }, { ...env, GITEA_TOKEN: "gitea-token" });
+  assert.equal(settings.token, "gitea-token");
+  assert.equal(settings.hostUrl, "https://git.example.com");
+});
+
+test("validates budgets", () => {
+  assert.equal(resolveSettings({ budgets: { dailyRequests: 20 } }, {}, env).budgets.dailyRequests, 20);
+  assert.throws(() => resolveSettings({ budgets: { hourly: 1 } }, {}, env), /Unknown budget 'hourly'/);
+  assert.throws(() => resolveSettings({ budgets: { monthlyCost: "lots" } }, {}, env), /must be a number/);
+});
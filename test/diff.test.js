@@ -0,0 +1,18 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { formatDiff } from "../src/diff.js";
+
+test("marks removed and added lines", () => {
+  assert.equal(formatDiff("a\nb\nc", "a\nx\nc"), "  a\n- b\n+ x\n  c");
+});
+
+test("is empty when nothing changed", () => {
+  assert.equal(formatDiff("a\nb", "a\nb"), "");
+});
+
+test("keeps only the context around changes", () => {
+  const before = ["1", "2", "3", "4", "5", "6", "7", "8"].join("\n");
+  const after = ["1", "2", "3", "4", "5", "6", "7", "eight"].join("\n");
+  assert.equal(formatDiff(before, after, 1), "  7\n- 8\n+ eight");
+  assert.equal(formatDiff("a\nb\nc\nd\ne", "A\nb\nc\nd\nE", 1), "- a\n+ A\n  b\n  ...\n  d\n- e\n+ E");
+});
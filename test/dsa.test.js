@@ -0,0 +1,63 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { buildIndexMarkdown, buildProblemReadme, parseIndex, updateIndex } from "../src/dsa.js";
+
+const problem = {
+  id: "1520A",
+  title: "Do Not Be Distracted!",
+  difficulty: "800",
+  tags: ["brute force", "implementation"],
+  url: "https://codeforces.com/problemset/problem/1520/A",
+  description: "Polycarp solves tasks.",
+  inputSpec: "The first line contains t.",
+  outputSpec: "YES or NO.",
+  timeLimit: "1 second",
+  memoryLimit: "256 megabytes",
+  samples: [{ input: "1\n3\nABA\n", expected: "NO" }],
+  testKind: "stdio"
+};
+
+test("parses the index, falling back to an empty one", () => {
+  assert.deepEqual(parseIndex(""), { problems: {} });
+  assert.deepEqual(parseIndex("not json"), { problems: {} });
+  assert.deepEqual(parseIndex('{"version":1}'), { problems: {}, version: 1 });
+});
+
+test("adds a language to a problem without dropping the others", () => {
+  const entry = { folder: "codeforces/1520A-do-not-be-distracted", problem, platform: "Codeforces" };
+  let index = updateIndex(parseIndex(""), { ...entry, language: "python", solutionPath: `${entry.folder}/solution.py` });
+  index = updateIndex(index, { ...entry, language: "cpp", solutionPath: `${entry.folder}/solution.cpp` });
+
+  const saved = index.problems[entry.folder];
+  assert.deepEqual(saved.solutions, { python: `${entry.folder}/solution.py`, cpp: `${entry.folder}/solution.cpp` });
+  assert.equal(saved.title, problem.title);
+  assert.match(saved.updated, /^\d{4}-\d{2}-\d{2}$/);
+});
+
+test("builds a problem README with the judge's details and examples", () => {
+  const readme = buildProblemReadme(problem, "Codeforces");
+  assert.match(readme, /^# 1520A\. Do Not Be Distracted!\n/);
+  assert.match(readme, /\| 800 \| brute force, implementation \| \[Codeforces\]\(https:\/\/codeforces\.com\/problemset\/problem\/1520\/A\) \|/);
+  assert.match(readme, /\*\*Time limit:\*\* 1 second · \*\*Memory limit:\*\* 256 megabytes/);
+  assert.match(readme, /## Input\n\nThe first line contains t\./);
+  assert.match(readme, /### Example 1\n\nInput:\n\n```\n1\n3\nABA\n```\n\nOutput:\n\n```\nNO\n```/);
+});
+
+test("leaves examples out of LeetCode READMEs", () => {
+  const readme = buildProblemReadme({ ...problem, testKind: "function", timeLimit: "" }, "LeetCode");
+  assert.doesNotMatch(readme, /## Examples/);
+  assert.doesNotMatch(readme, /Time limit/);
+});
+
+test("escapes table cells in the index", () => {
+  const index = updateIndex(parseIndex(""), {
+    folder: "leetcode/0001-two-sum",
+    problem: { ...problem, id: "1", title: "A | B", tags: [] },
+    platform: "LeetCode",
+    language: "python",
+    solutionPath: "leetcode/0001-two-sum/solution.py"
+  });
+  const markdown = buildIndexMarkdown(index);
+  assert.match(markdown, /1 problem solved/);
+  assert.match(markdown, /\[1\. A \\\| B\]\(leetcode\/0001-two-sum\) \| 800 \| - \| \[py\]\(leetcode\/0001-two-sum\/solution\.py\)/);
+});
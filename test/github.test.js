@@ -0,0 +1,42 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { gitBlobSha, listRepoPaths, normalizePath } from "../src/github.js";
+
+test("normalizes repository paths", () => {
+  assert.equal(normalizePath(" ./src/index.js "), "src/index.js");
+  assert.equal(normalizePath("/src\\lib\\util.js"), "src/lib/util.js");
+});
+
+test("rejects paths that escape the repository or have empty segments", () => {
+  for (const path of ["", "  ", "../secret", "src/../../x", "src//index.js", "src/"]) {
+    assert.throws(() => normalizePath(path), /Invalid file path/, path);
+  }
+});
+
+test("hashes content the way git does", async () => {
+  assert.equal(await gitBlobSha(""), "e69de29bb2d1d6434b8b29ae775ad8c2e48c5391");
+  assert.equal(await gitBlobSha("hello\n"), "ce013625030ba8dba906f756967f9e9ca394464a");
+  // Hashed as UTF-8, like `git hash-object`
+  assert.equal(await gitBlobSha("naïve — ✓\n"), "ad7bd7769d71d98ac1eb5b0aa5c1d484f7735b2a");
+});
+
+test("walks truncated trees one level at a time", async () => {
+  const trees = {
+    "main/recursive": { truncated: true, tree: [] },
+    main: { tree: [{ path: "INDEX.md", type: "blob" }, { path: "leetcode", type: "tree", sha: "lc" }] },
+    "lc/recursive": { truncated: true, tree: [] },
+    lc: { tree: [{ path: "0001-two-sum", type: "tree", sha: "two-sum" }] },
+    "two-sum/recursive": { tree: [{ path: "solution.py", type: "blob" }, { path: "tests", type: "tree", sha: "t" }, { path: "tests/a.py", type: "blob" }] }
+  };
+  const octokit = {
+    rest: {
+      repos: { get: async () => ({ data: { default_branch: "main" } }) },
+      git: { getTree: async ({ tree_sha: sha, recursive }) => ({ data: trees[recursive ? `${sha}/recursive` : sha] }) }
+    }
+  };
+  assert.deepEqual(await listRepoPaths(octokit, { owner: "me", repo: "DSA" }), [
+    "INDEX.md",
+    "leetcode/0001-two-sum/solution.py",
+    "leetcode/0001-two-sum/tests/a.py"
+  ]);
+});
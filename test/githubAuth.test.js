@@ -0,0 +1,63 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { checkToken } from "../src/githubAuth.js";
+
+const TOKEN = `ghs_${"a".repeat(36)}`;
+
+// An Octokit whose every write throws, so a check that writes fails the test
+function mockOctokit({ scopes, permissions, pulls = {} }) {
+  const write = () => assert.fail("checkToken must not write");
+  return {
+    rest: {
+      users: { getAuthenticated: async () => ({ data: { login: "ada" }, headers: scopes === undefined ? {} : { "x-oauth-scopes": scopes } }) },
+      rateLimit: { get: async () => ({ data: { resources: { core: { remaining: 4000, limit: 5000, reset: 0 } } } }) },
+      repos: {
+        get: async () => {
+          if (!permissions) throw Object.assign(new Error("Not Found"), { status: 404 });
+          return { data: { permissions } };
+        }
+      },
+      pulls: {
+        list: async () => {
+          if (pulls.error) throw pulls.error;
+          return { data: [] };
+        },
+        create: write
+      },
+      git: { createRef: write }
+    }
+  };
+}
+
+test("judges classic tokens by scopes and repository permissions", async () => {
+  const octokit = mockOctokit({ scopes: "repo, gist", permissions: { push: false } });
+  const report = await checkToken(octokit, { token: `ghp_${"a".repeat(36)}`, repo: "solutions" });
+  assert.equal(report.type, "classic");
+  assert.deepEqual(report.scopes, ["repo", "gist"]);
+  assert.deepEqual(report.checks.filter((c) => !c.ok).map((c) => c.label), ["Contents write", "Pull requests"]);
+});
+
+test("reports the permission a token without scopes lacks", async () => {
+  const error = Object.assign(new Error("Forbidden"), {
+    status: 403,
+    response: { headers: { "x-accepted-github-permissions": "pull_requests=read" } }
+  });
+  const octokit = mockOctokit({ permissions: { push: true }, pulls: { error } });
+  const report = await checkToken(octokit, { token: TOKEN, owner: "org", repo: "solutions" });
+  assert.equal(report.type, "server-to-server");
+  const pulls = report.checks.find((c) => c.label === "Pull requests");
+  assert.equal(pulls.ok, false);
+  assert.match(pulls.detail, /needs pull_requests=read/);
+  assert.equal(report.missing.length, 1);
+});
+
+test("names every token type", async () => {
+  const types = { gho_: "oauth", ghu_: "user-to-server", ghr_: "refresh" };
+  for (const [prefix, type] of Object.entries(types)) {
+    const report = await checkToken(mockOctokit({}), { token: `${prefix}${"a".repeat(36)}`, repo: "solutions" });
+    assert.equal(report.type, type);
+  }
+  const report = await checkToken(mockOctokit({}), { token: `github_pat_${"a".repeat(22)}`, repo: "solutions" });
+  assert.equal(report.type, "fine-grained");
+  assert.match(report.checks.at(-1).detail, /Administration/);
+});
@@ -0,0 +1,81 @@
+import assert from "node:assert/strict";
+import { afterEach, test } from "node:test";
+import { fetchDailyQuestion, fetchQuestion } from "../src/sources/leetcodeClient.js";
+
+const GRAPHQL_URL = "https://leetcode.test/graphql";
+
+const question = {
+  questionId: "1",
+  questionFrontendId: "1",
+  title: "Two Sum",
+  titleSlug: "two-sum",
+  difficulty: "Easy",
+  isPaidOnly: false,
+  content: "<p>Find two numbers.</p>",
+  topicTags: [{ name: "Array" }],
+  codeSnippets: null,
+  exampleTestcases: "[2,7,11,15]\n9",
+  hints: null
+};
+
+const realFetch = globalThis.fetch;
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+// Answers each request with the next of `replies` (status and JSON body), recording the URLs
+function mockFetch(...replies) {
+  const urls = [];
+  globalThis.fetch = async (url) => {
+    urls.push(url);
+    const { status = 200, body } = replies.shift();
+    return new Response(JSON.stringify(body), { status });
+  };
+  return urls;
+}
+
+test("fetches a problem from the GraphQL API and defaults missing lists", async () => {
+  const urls = mockFetch({ body: { data: { question } } });
+  const result = await fetchQuestion("two-sum", { graphqlUrl: GRAPHQL_URL });
+
+  assert.deepEqual(urls, [GRAPHQL_URL]);
+  assert.equal(result.fetchedFrom, "LeetCode GraphQL");
+  assert.equal(result.link, "/problems/two-sum/");
+  assert.deepEqual(result.question.codeSnippets, []);
+  assert.deepEqual(result.question.hints, []);
+});
+
+test("falls back to the mirror when the GraphQL answer is unusable", async () => {
+  const urls = mockFetch(
+    { body: { data: { question: { ...question, title: "" } } } },
+    { body: { questionTitle: "Two Sum", titleSlug: "two-sum", questionFrontendId: "1", difficulty: "Easy", question: "<p>Find two numbers.</p>", topicTags: ["Array"] } }
+  );
+  const result = await fetchQuestion("two-sum", { graphqlUrl: GRAPHQL_URL });
+
+  assert.equal(urls.length, 2);
+  assert.equal(result.fetchedFrom, "alfa-leetcode-api");
+  assert.deepEqual(result.fetchErrors, ["LeetCode GraphQL: Unexpected response: 'title' is missing"]);
+  assert.deepEqual(result.question.topicTags, [{ name: "Array" }]);
+});
+
+test("doesn't look elsewhere for problems that don't exist", async () => {
+  const urls = mockFetch({ body: { data: { question: null } } });
+  await assert.rejects(fetchQuestion("no-such-problem", { graphqlUrl: GRAPHQL_URL }), /'no-such-problem' not found/);
+  assert.equal(urls.length, 1);
+});
+
+test("names every backend that failed", async () => {
+  mockFetch({ status: 403, body: {} }, { status: 404, body: {} });
+  await assert.rejects(fetchQuestion("two-sum", { graphqlUrl: GRAPHQL_URL }), /LeetCode returned 403.*alfa-leetcode-api returned 404/);
+});
+
+test("caches the daily problem for the day", async () => {
+  const urls = mockFetch({ body: { data: { activeDailyCodingChallengeQuestion: { date: "2024-01-01", link: "/problems/two-sum/", question } } } });
+  const first = await fetchDailyQuestion({ graphqlUrl: GRAPHQL_URL });
+  const second = await fetchDailyQuestion({ graphqlUrl: GRAPHQL_URL });
+
+  assert.equal(urls.length, 1);
+  assert.equal(first.fetchedFrom, "LeetCode GraphQL");
+  assert.equal(second.fetchedFrom, "cache (LeetCode GraphQL)");
+  assert.equal(second.question.title, "Two Sum");
+});
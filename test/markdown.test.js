@@ -0,0 +1,33 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { htmlToMarkdown } from "../src/sources/markdown.js";
+
+test("keeps exponents, indices and emphasis", () => {
+  assert.equal(htmlToMarkdown("<p>1 &lt;= n &lt;= 10<sup>5</sup></p>"), "1 <= n <= 10^5");
+  assert.equal(htmlToMarkdown("<p>a<sub>i</sub> + 2<sup>n - 1</sup></p>"), "a_i + 2^(n - 1)");
+  assert.equal(htmlToMarkdown("<p><strong>Input: </strong><em>nums</em></p>"), "**Input:** *nums*");
+});
+
+test("keeps code as written", () => {
+  assert.equal(htmlToMarkdown("<p>Return <code>  nums[i] </code>.</p>"), "Return `nums[i]`.");
+  assert.equal(htmlToMarkdown("<pre>\n<strong>Input:</strong> s = \"a  b\"\n\n<strong>Output:</strong> 2\n</pre>"), "```\nInput: s = \"a  b\"\n\nOutput: 2\n```");
+  assert.equal(htmlToMarkdown("<p><code>a`b</code></p>"), "`` a`b ``");
+});
+
+test("converts lists, including nested and numbered ones", () => {
+  const html = "<ol start=\"3\"><li>First<ul><li>inner</li></ul></li><li>Second</li></ol>";
+  assert.equal(htmlToMarkdown(html), "3. First\n\n   - inner\n4. Second");
+});
+
+test("converts headings, links, images and tables", () => {
+  assert.equal(htmlToMarkdown("<h3>Example 1</h3><p>See <a href=\"https://x.test\">this</a></p>"), "### Example 1\n\nSee [this](https://x.test)");
+  assert.equal(htmlToMarkdown("<img src=\"tree.png\" alt=\"tree\">"), "![tree](tree.png)");
+  const table = "<table><tr><th>a</th><th>b</th></tr><tr><td>1|2</td></tr></table>";
+  assert.equal(htmlToMarkdown(table), "| a | b |\n| --- | --- |\n| 1\\|2 | |");
+});
+
+test("collapses whitespace and blank lines", () => {
+  assert.equal(htmlToMarkdown("<p>  a \n  b  </p>\n\n\n<div></div><p>c</p>"), "a b\n\nc");
+  assert.equal(htmlToMarkdown(""), "");
+  assert.equal(htmlToMarkdown(null), "");
+});
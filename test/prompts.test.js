@@ -0,0 +1,62 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { parseCustomBuildResponse, parseSolutionResponse, partialCode } from "../src/core/prompts.js";
+
+test("parses a structured solution reply", () => {
+  const reply = JSON.stringify({
+    code: "def two_sum(nums, target):\n    pass",
+    explanation: " Use a hash map. ",
+    complexity: { time: "O(n)", space: "" },
+    tests: "```python\nfrom solution import two_sum\n```"
+  });
+  assert.deepEqual(parseSolutionResponse(reply), {
+    code: "def two_sum(nums, target):\n    pass",
+    explanation: "Use a hash map.",
+    complexity: { time: "O(n)", space: null },
+    tests: "from solution import two_sum\n"
+  });
+});
+
+test("finds the JSON object inside a fenced reply", () => {
+  const reply = "Here you go:\n```json\n{\"code\": \"print(1)\", \"explanation\": \"\"}\n```";
+  const parsed = parseSolutionResponse(reply);
+  assert.equal(parsed.code, "print(1)");
+  assert.equal(parsed.explanation, null);
+  assert.equal(parsed.complexity, null);
+});
+
+test("takes replies that aren't JSON as plain code", () => {
+  const reply = "Sure!\n```python\nprint(1)\n```\nHope this helps.";
+  assert.deepEqual(parseSolutionResponse(reply), { code: "print(1)", explanation: null, complexity: null, tests: null });
+});
+
+test("extracts the code of a reply still streaming in", () => {
+  assert.equal(partialCode('{"code": "line 1\\nprint(\\"hi'), 'line 1\nprint("hi');
+  assert.equal(partialCode('{"code": "a\\u0041b", "tests"'), "aAb");
+  // An escape cut off mid-way is left out until the rest arrives
+  assert.equal(partialCode('{"code": "a\\u00'), "a");
+  assert.equal(partialCode('{"explanation": "'), "");
+  assert.equal(partialCode("print(1)"), "print(1)");
+});
+
+test("parses a multi-file project reply", () => {
+  const reply = "REPO_NAME: todo-api\n---FILE: src/index.js---\nconsole.log(1);\n---END_FILE---\n---FILE: README.md---\n# Todo\n\n---END_FILE---";
+  assert.deepEqual(parseCustomBuildResponse(reply, "script.js"), {
+    repoName: "todo-api",
+    files: [
+      { path: "src/index.js", content: "console.log(1);\n" },
+      { path: "README.md", content: "# Todo\n" }
+    ]
+  });
+});
+
+test("falls back to a single file for other project replies", () => {
+  assert.deepEqual(parseCustomBuildResponse("REPO_NAME: tool\n---CODE_START---\nx = 1\n---CODE_END---", "script.py"), {
+    repoName: "tool",
+    files: [{ path: "script.py", content: "x = 1" }]
+  });
+  assert.deepEqual(parseCustomBuildResponse("  x = 1  ", "script.py"), {
+    repoName: null,
+    files: [{ path: "script.py", content: "x = 1" }]
+  });
+});
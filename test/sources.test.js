@@ -0,0 +1,53 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { MODES } from "../src/modes.js";
+import { atcoder } from "../src/sources/atcoder.js";
+import { codeforces } from "../src/sources/codeforces.js";
+import { cses } from "../src/sources/cses.js";
+import { gfg } from "../src/sources/gfg.js";
+import { hackerrank } from "../src/sources/hackerrank.js";
+import { resolveReference } from "../src/sources/index.js";
+import { leetcode } from "../src/sources/leetcode.js";
+
+test("LeetCode takes problem URLs and slugs", () => {
+  assert.equal(leetcode.parseReference("https://leetcode.com/problems/Two-Sum/description/"), "two-sum");
+  assert.equal(leetcode.parseReference("https://leetcode.cn/problems/two-sum/"), "two-sum");
+  assert.equal(leetcode.parseReference("two-sum"), "two-sum");
+  assert.equal(leetcode.parseReference("1520a"), null);
+  assert.equal(leetcode.parseReference("https://codeforces.com/contest/1520/problem/A"), null);
+});
+
+test("Codeforces takes contest and problemset URLs and ids", () => {
+  assert.equal(codeforces.parseReference("https://codeforces.com/contest/1520/problem/a"), "1520A");
+  assert.equal(codeforces.parseReference("https://codeforces.com/problemset/problem/1857/B1"), "1857B1");
+  assert.equal(codeforces.parseReference("1520A"), "1520A");
+  assert.equal(codeforces.parseReference("1520 / a"), "1520A");
+  assert.equal(codeforces.parseReference("two-sum"), null);
+});
+
+test("AtCoder takes task URLs and task ids", () => {
+  assert.equal(atcoder.parseReference("https://atcoder.jp/contests/abc300/tasks/abc300_a"), "abc300_a");
+  assert.equal(atcoder.parseReference("ABC300_A"), "abc300_a");
+  assert.equal(atcoder.parseReference("abc300"), null);
+});
+
+test("CSES takes task URLs", () => {
+  assert.equal(cses.parseReference("https://cses.fi/problemset/task/1068"), "1068");
+  assert.equal(cses.parseReference("https://cses.fi/problemset/view/1068/"), "1068");
+  assert.equal(cses.parseReference("1068"), null);
+});
+
+test("GeeksforGeeks and HackerRank take problem URLs", () => {
+  assert.equal(gfg.parseReference("https://www.geeksforgeeks.org/problems/two-sum/1"), "two-sum");
+  assert.equal(gfg.parseReference("two-sum"), null);
+  assert.equal(hackerrank.parseReference("https://www.hackerrank.com/challenges/solve-me-first/problem"), "solve-me-first");
+  assert.equal(hackerrank.parseReference("https://www.hackerrank.com/contests/master/challenges/simple-array-sum"), "simple-array-sum");
+  assert.equal(hackerrank.parseReference("solve-me-first"), null);
+});
+
+test("resolves references against the selected mode's source first", () => {
+  assert.equal(resolveReference(" 1520A ", MODES.LEETCODE).source, codeforces);
+  assert.equal(resolveReference("two-sum", MODES.CODEFORCE).source, leetcode);
+  assert.equal(resolveReference("https://cses.fi/problemset/task/1068", MODES.LEETCODE).id, "1068");
+  assert.equal(resolveReference("not a problem!", MODES.LEETCODE), null);
+});
@@ -0,0 +1,25 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { LANGUAGES } from "../src/languages.js";
+import { MODES } from "../src/modes.js";
+import { defaultTemplate, promptVariables, renderTemplate } from "../src/core/templates.js";
+import { getLeetCodeSamples } from "../src/verify.js";
+
+test("renders the LeetCode template with array sample inputs", () => {
+  const description = "**Input:** nums = [2,7,11,15], target = 9\n**Output:** [0,1]";
+  const samples = getLeetCodeSamples(description, "[2,7,11,15]\n9");
+  assert.ok(Array.isArray(samples[0].input));
+
+  const problem = { title: "Two Sum", description, samples, testCases: "[2,7,11,15]\n9" };
+  const variables = promptVariables(MODES.LEETCODE, LANGUAGES.python, problem);
+  assert.equal(variables.examples, "Example 1:\nInput:\n[2,7,11,15]\n9\nOutput:\n[0,1]");
+
+  const prompt = renderTemplate(defaultTemplate(MODES.LEETCODE), variables);
+  assert.match(prompt, /Problem: Two Sum/);
+});
+
+test("renders stdin sample inputs", () => {
+  const problem = { samples: [{ input: "4 9\n2 7 11 15\n", expected: "0 1" }] };
+  const variables = promptVariables(MODES.CODEFORCE, LANGUAGES.python, problem);
+  assert.equal(variables.examples, "Example 1:\nInput:\n4 9\n2 7 11 15\nOutput:\n0 1");
+});
@@ -0,0 +1,49 @@
+import assert from "node:assert/strict";
+import { beforeEach, test } from "node:test";
+import { addUsage, budgetStatus, checkBudgets, clearUsage, estimateCost, formatUsage, usageTotals } from "../src/usage.js";
+
+const DAY = new Date("2025-03-15T12:00:00Z");
+
+beforeEach(() => {
+  clearUsage();
+});
+
+test("prices calls by the longest matching model prefix", () => {
+  const call = { provider: "gemini", inputTokens: 1e6, outputTokens: 1e6 };
+  assert.equal(estimateCost({ ...call, model: "gemini-2.5-flash" }), 2.8);
+  assert.equal(estimateCost({ ...call, model: "models/gemini-2.5-flash-lite-preview" }), 0.5);
+  assert.equal(estimateCost({ ...call, provider: "openai", model: "GPT-4o-mini-2024-07-18" }), 0.75);
+});
+
+test("counts local models as free and unknown models as unpriced", () => {
+  assert.equal(estimateCost({ provider: "local", model: "llama3", inputTokens: 5000, outputTokens: 5000 }), 0);
+  assert.equal(estimateCost({ provider: "openai", model: "mystery-model", inputTokens: 1, outputTokens: 1 }), null);
+  assert.equal(formatUsage({ provider: "openai", model: "mystery-model", inputTokens: 1000, outputTokens: 234 }), "1,234 tokens (1,000 in, 234 out), cost unknown");
+});
+
+test("totals usage for today and this month", () => {
+  addUsage({ provider: "gemini", model: "gemini-2.5-flash", inputTokens: 100, outputTokens: 50 }, DAY);
+  addUsage({ provider: "gemini", model: "gemini-2.5-flash", inputTokens: 100, outputTokens: 50 }, new Date("2025-03-01T00:00:00Z"));
+  const usage = addUsage({ provider: "local", model: "llama3", inputTokens: 10, outputTokens: 5 }, DAY);
+
+  const totals = usageTotals(usage, DAY);
+  assert.equal(totals.today.requests, 2);
+  assert.equal(totals.today.inputTokens, 110);
+  assert.equal(totals.month.requests, 3);
+  assert.deepEqual(totals.models.map((model) => model.key), ["gemini/gemini-2.5-flash", "local/llama3"]);
+});
+
+test("reports the share of each budget that is set", () => {
+  const usage = addUsage({ provider: "local", model: "llama3", inputTokens: 600, outputTokens: 300 }, DAY);
+  const statuses = budgetStatus(usageTotals(usage, DAY), { dailyRequests: "", dailyTokens: 1000, monthlyCost: "0" });
+  assert.deepEqual(statuses, [{ id: "dailyTokens", label: "Tokens per day", used: 900, limit: 1000, share: 0.9 }]);
+});
+
+test("warns near a budget and throws once it's used up", () => {
+  addUsage({ provider: "local", model: "llama3", inputTokens: 600, outputTokens: 300 }, DAY);
+  assert.deepEqual(checkBudgets({ dailyTokens: 2000 }, DAY), []);
+  assert.equal(checkBudgets({ dailyTokens: 1000 }, DAY)[0].id, "dailyTokens");
+  assert.throws(() => checkBudgets({ dailyTokens: 900 }, DAY), /Usage budget reached \(Tokens per day: 900 of 900 \(100%\)\)/);
+  // Yesterday's usage doesn't count against today's budget
+  assert.deepEqual(checkBudgets({ dailyTokens: 900 }, new Date("2025-03-16T12:00:00Z")), []);
+});
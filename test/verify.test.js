@@ -0,0 +1,30 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { getLeetCodeSamples, outputsMatch } from "../src/verify.js";
+
+test("pairs example test cases with the statement's outputs", () => {
+  const description = "**Input:** nums = [2,7,11,15], target = 9\n**Output:** [0,1]\n\n**Input:** nums = [3,2,4], target = 6\n**Output:** `[1,2]`";
+  assert.deepEqual(getLeetCodeSamples(description, "[2,7,11,15]\n9\n[3,2,4]\n6\n"), [
+    { input: ["[2,7,11,15]", "9"], expected: "[0,1]" },
+    { input: ["[3,2,4]", "6"], expected: "[1,2]" }
+  ]);
+});
+
+test("returns no samples when the test cases don't split evenly", () => {
+  assert.deepEqual(getLeetCodeSamples("Output: 1\nOutput: 2", "1\n2\n3"), []);
+  assert.deepEqual(getLeetCodeSamples("No examples here", "1"), []);
+  assert.deepEqual(getLeetCodeSamples("Output: 1", ""), []);
+});
+
+test("compares outputs token by token, ignoring whitespace", () => {
+  assert.ok(outputsMatch("1 2\n3\n", "1 2 3"));
+  assert.ok(outputsMatch("  YES ", "YES"));
+  assert.ok(!outputsMatch("1 2", "1 2 3"));
+  assert.ok(!outputsMatch("yes", "YES"));
+});
+
+test("allows a small error in floating point answers", () => {
+  assert.ok(outputsMatch("0.3333333", "0.333333333"));
+  assert.ok(outputsMatch("1e6", "1000000"));
+  assert.ok(!outputsMatch("0.34", "0.33"));
+});
@@ -1,7 +1,52 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// github.com's OAuth device-flow endpoints, LeetCode's GraphQL API, the
+// Codeforces, CSES and AtCoder problem pages and the HackerRank and
+// GeeksforGeeks APIs don't send CORS headers, so the app reaches them through
+// these paths
+const proxy = {
+  '/github-login': {
+    target: 'https://github.com/login',
+    changeOrigin: true,
+    rewrite: (path) => path.replace(/^\/github-login/, ''),
+  },
+  '/leetcode-graphql': {
+    target: 'https://leetcode.com/graphql',
+    changeOrigin: true,
+    rewrite: (path) => path.replace(/^\/leetcode-graphql/, ''),
+    headers: { Referer: 'https://leetcode.com' },
+  },
+  '/codeforces': {
+    target: 'https://codeforces.com',
+    changeOrigin: true,
+    rewrite: (path) => path.replace(/^\/codeforces/, ''),
+  },
+  '/cses': {
+    target: 'https://cses.fi',
+    changeOrigin: true,
+    rewrite: (path) => path.replace(/^\/cses/, ''),
+  },
+  '/atcoder': {
+    target: 'https://atcoder.jp',
+    changeOrigin: true,
+    rewrite: (path) => path.replace(/^\/atcoder/, ''),
+  },
+  '/hackerrank': {
+    target: 'https://www.hackerrank.com',
+    changeOrigin: true,
+    rewrite: (path) => path.replace(/^\/hackerrank/, ''),
+  },
+  '/gfg': {
+    target: 'https://practiceapi.geeksforgeeks.org',
+    changeOrigin: true,
+    rewrite: (path) => path.replace(/^\/gfg/, ''),
+  },
+}
+
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  server: { proxy },
+  preview: { proxy },
 })